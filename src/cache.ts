@@ -0,0 +1,211 @@
+/**
+ * Persistent cache of processed documents for the docusaurus-plugin-llms plugin
+ *
+ * Documents are keyed by the hash of their content and of the inputs they are processed with,
+ * and remember the hashes of the files they import (partials and raw-loader sources),
+ * so unchanged documents are not read and cleaned again on the next build.
+ */
+
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { DocInfo } from './types';
+
+/** Bumped whenever the processing changes, so documents cached by another release are processed again */
+const CACHE_VERSION = 1;
+
+const CACHE_FILENAME = 'docs.json';
+
+/** Hash recorded for imported files that do not exist */
+const MISSING_FILE_HASH = 'missing';
+
+/** Lock files of the package managers, which record the resolved version of every installed package */
+const LOCK_FILENAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'bun.lockb'];
+
+/**
+ * A document processed from a source file, with the files it imports
+ */
+interface DocCacheEntry {
+  /** Hashes of the imported files, keyed by absolute path */
+  dependencies: Record<string, string>;
+  /** Processed document, or null if the file is skipped (e.g. a draft) */
+  doc: DocInfo | null;
+}
+
+/**
+ * Cache file written to the cache directory
+ */
+interface DocCacheFile {
+  version: number;
+  entries: Record<string, DocCacheEntry>;
+}
+
+/**
+ * Cache of processed documents
+ */
+export interface DocCache {
+  /**
+   * Get the cache key of a source file processed with some inputs
+   * @param sourceFilePath - File the document is read from
+   * @param inputs - Every other value the processing depends on (paths, URLs and options)
+   * @returns The key, or undefined if the file cannot be read
+   */
+  getKey(sourceFilePath: string, inputs: unknown[]): Promise<string | undefined>;
+  /**
+   * Get a cached document, if none of the files it imports changed
+   * @param key - Cache key of the document
+   * @returns The cache entry, or undefined on a cache miss
+   */
+  get(key: string): Promise<{ doc: DocInfo | null } | undefined>;
+  /**
+   * Store a processed document
+   * @param key - Cache key of the document
+   * @param doc - Processed document
+   * @param dependencies - Paths of the files the document imports
+   */
+  set(key: string, doc: DocInfo | null, dependencies: Iterable<string>): Promise<void>;
+  /**
+   * Write the entries used since the cache was loaded to the cache directory
+   */
+  save(): Promise<void>;
+}
+
+/**
+ * Hash a string
+ * @param data - Data to hash
+ * @returns Hex-encoded SHA-256 hash
+ */
+function hash(data: string | Buffer): string {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash the content of a file
+ * @param filePath - File to hash
+ * @returns Hash of the content, or MISSING_FILE_HASH if the file does not exist
+ */
+async function hashFile(filePath: string): Promise<string> {
+  try {
+    return hash(await fs.readFile(filePath));
+  } catch {
+    return MISSING_FILE_HASH;
+  }
+}
+
+/**
+ * Serialize processing inputs, including functions (e.g. remark plugins) by their source
+ * The source of a function does not cover the packages it calls, see hashInstalledCode.
+ * @param inputs - Inputs to serialize
+ * @returns Stable string representation of the inputs
+ */
+function serializeInputs(inputs: unknown[]): string {
+  return JSON.stringify(inputs, (_key, value) => typeof value === 'function' ? value.toString() : value) ?? '';
+}
+
+/**
+ * Hash the code the documents are processed with, which their cache keys cannot see:
+ * the version of this plugin and the installed packages, such as remark plugins
+ * Installed packages are identified by the lock file of the site, or of the workspace it belongs to.
+ * @param siteDir - Root directory of the site
+ * @returns Hash of the plugin version and of the nearest lock files
+ */
+async function hashInstalledCode(siteDir: string): Promise<string> {
+  let pluginVersion = '';
+  try {
+    pluginVersion = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'package.json'), 'utf8')).version;
+  } catch {
+    // Not installed as a package
+  }
+
+  let lockFileHashes: string[] = [];
+  for (let dir = path.resolve(siteDir); lockFileHashes.length === 0; dir = path.dirname(dir)) {
+    lockFileHashes = (await Promise.all(LOCK_FILENAMES.map(filename => hashFile(path.join(dir, filename)))))
+      .filter(lockFileHash => lockFileHash !== MISSING_FILE_HASH);
+    if (path.dirname(dir) === dir) {
+      break;
+    }
+  }
+
+  return hash([pluginVersion, ...lockFileHashes].join('\n'));
+}
+
+/**
+ * Write dates (e.g. front matter dates parsed by YAML) in a form that is read back as dates
+ */
+function replaceDates(this: Record<string, unknown>, key: string, value: unknown): unknown {
+  const original = this[key];
+  return original instanceof Date ? { $date: original.toISOString() } : value;
+}
+
+/**
+ * Read back the dates written by replaceDates
+ */
+function reviveDates(_key: string, value: any): unknown {
+  return value !== null && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+    ? new Date(value.$date)
+    : value;
+}
+
+/**
+ * Load the document cache from a directory
+ * A missing, unreadable or outdated cache file results in an empty cache.
+ * Upgrading the plugin or any installed package invalidates every cached document.
+ * @param cacheDir - Directory the cache is stored in
+ * @param siteDir - Root directory of the site, where the lock file of its packages is looked up
+ * @returns The cache
+ */
+export async function loadDocCache(cacheDir: string, siteDir: string): Promise<DocCache> {
+  const cacheFilePath = path.join(cacheDir, CACHE_FILENAME);
+  const installedCodeHash = await hashInstalledCode(siteDir);
+  let previousEntries: Record<string, DocCacheEntry> = {};
+  try {
+    const cacheFile: DocCacheFile = JSON.parse(await fs.readFile(cacheFilePath, 'utf8'), reviveDates);
+    if (cacheFile.version === CACHE_VERSION) {
+      previousEntries = cacheFile.entries;
+    }
+  } catch {
+    // No usable cache yet
+  }
+
+  // Only entries used by this generation are saved, so entries of removed documents do not pile up
+  const usedEntries: Record<string, DocCacheEntry> = {};
+
+  return {
+    async getKey(sourceFilePath, inputs) {
+      const contentHash = await hashFile(sourceFilePath);
+      if (contentHash === MISSING_FILE_HASH) {
+        return undefined;
+      }
+      return hash(`${installedCodeHash}\n${sourceFilePath}\n${contentHash}\n${serializeInputs(inputs)}`);
+    },
+
+    async get(key) {
+      const entry = usedEntries[key] ?? previousEntries[key];
+      if (!entry) {
+        return undefined;
+      }
+      for (const [dependencyPath, dependencyHash] of Object.entries(entry.dependencies)) {
+        if (await hashFile(dependencyPath) !== dependencyHash) {
+          return undefined;
+        }
+      }
+      usedEntries[key] = entry;
+      // Callers may change the document, which must not change the cached one
+      return { doc: structuredClone(entry.doc) };
+    },
+
+    async set(key, doc, dependencies) {
+      const dependencyHashes: Record<string, string> = {};
+      for (const dependencyPath of dependencies) {
+        dependencyHashes[dependencyPath] = await hashFile(dependencyPath);
+      }
+      usedEntries[key] = { dependencies: dependencyHashes, doc: structuredClone(doc) };
+    },
+
+    async save() {
+      const cacheFile: DocCacheFile = { version: CACHE_VERSION, entries: usedEntries };
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(cacheFilePath, JSON.stringify(cacheFile, replaceDates), 'utf8');
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Chunked export for the docusaurus-plugin-llms plugin
+ *
+ * Splits the processed documents by heading into chunks for retrieval-augmented generation.
+ * Chunks are cut from the same cleaned content as llms-full.txt, so both always agree.
+ */
+
+import { createSlugger } from '@docusaurus/utils';
+import { DocChunk, DocInfo, LLMsChunksOptions, Tokenizer } from './types';
+import { countTokens } from './tokens';
+
+/** Default maximum number of tokens in a chunk */
+export const DEFAULT_CHUNK_MAX_TOKENS = 500;
+
+/** Default number of tokens repeated from the end of the previous chunk of a section */
+export const DEFAULT_CHUNK_OVERLAP = 50;
+
+/**
+ * Resolve the `llmsChunks` option
+ * @param llmsChunks - Option value
+ * @returns Options with defaults, or undefined if the export is disabled
+ */
+export function resolveChunksOptions(llmsChunks: boolean | LLMsChunksOptions | undefined): Required<LLMsChunksOptions> | undefined {
+  if (!llmsChunks) {
+    return undefined;
+  }
+  const {
+    filename = 'llms-chunks.jsonl',
+    maxTokens = DEFAULT_CHUNK_MAX_TOKENS,
+    overlap = DEFAULT_CHUNK_OVERLAP,
+  } = llmsChunks === true ? {} : llmsChunks;
+  return { filename, maxTokens, overlap };
+}
+
+/**
+ * Part of a document under a heading
+ */
+interface Section {
+  /** Headings the section is nested under, starting with the document title */
+  breadcrumb: string[];
+  /** Anchor of the section heading, undefined for the text before the first heading */
+  anchor?: string;
+  /** Markdown blocks (paragraphs, lists, code blocks...) of the section, heading included */
+  blocks: string[];
+}
+
+/**
+ * Get the plain text of a heading, as shown on the page and used for its anchor
+ * @param heading - Heading text, without the leading #
+ * @returns Text without Markdown formatting
+ */
+function getHeadingText(heading: string): string {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__|\*|_|~~)(.+?)\1/g, '$2')
+    .trim();
+}
+
+/**
+ * Split a document into sections at its headings, and each section into Markdown blocks
+ * Headings and blank lines inside code blocks are ignored.
+ * @param doc - Processed document
+ * @returns Sections in document order, leaving out sections without content
+ */
+function splitSections(doc: DocInfo): Section[] {
+  const slugger = createSlugger();
+  const headings: string[] = [];
+  const sections: Section[] = [];
+  let section: Section = { breadcrumb: [doc.title], blocks: [] };
+  let blockLines: string[] = [];
+  let closingFence: RegExp | undefined;
+
+  const flushBlock = () => {
+    const block = blockLines.join('\n').trim();
+    if (block) {
+      section.blocks.push(block);
+    }
+    blockLines = [];
+  };
+  const flushSection = () => {
+    flushBlock();
+    // A heading directly followed by a subheading has no content of its own
+    if (section.blocks.length > (section.anchor ? 1 : 0)) {
+      sections.push(section);
+    }
+  };
+
+  // llms-full.txt replaces a first heading repeating the title with its own heading
+  const lines = doc.content.trim().split('\n');
+  const firstHeading = lines[0]?.match(/^#+\s+(.+)$/);
+  if (firstHeading && firstHeading[1].trim() === doc.title) {
+    lines.shift();
+  }
+
+  for (const line of lines) {
+    if (closingFence) {
+      blockLines.push(line);
+      if (closingFence.test(line)) {
+        closingFence = undefined;
+      }
+      continue;
+    }
+
+    const opening = line.match(/^[ \t]*(`{3,}|~{3,})/);
+    if (opening) {
+      const fence = opening[1];
+      closingFence = new RegExp(`^[ \\t]*${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+      blockLines.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/);
+    if (heading) {
+      flushSection();
+      const level = heading[1].length;
+      const explicitId = heading[2].match(/[ \t]*\{#([^}]+)\}$/);
+      const text = getHeadingText(explicitId ? heading[2].slice(0, explicitId.index) : heading[2]);
+      headings.length = level - 1;
+      headings[level - 1] = text;
+      section = {
+        breadcrumb: [doc.title, ...headings.filter(Boolean)],
+        anchor: explicitId ? explicitId[1] : slugger.slug(text),
+        blocks: [line],
+      };
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushBlock();
+    } else {
+      blockLines.push(line);
+    }
+  }
+  flushSection();
+
+  return sections;
+}
+
+/**
+ * Pack the blocks of a section into chunks of at most maxTokens tokens
+ * A chunk starts with the last blocks of the previous chunk, up to overlap tokens.
+ * Blocks larger than maxTokens are split by line, and a single line is never split.
+ * @param blocks - Markdown blocks of the section
+ * @param maxTokens - Maximum number of tokens in a chunk
+ * @param overlap - Maximum number of tokens repeated from the previous chunk
+ * @param tokenizer - Tokenizer to count tokens with (optional)
+ * @returns Text of each chunk
+ */
+function packBlocks(blocks: string[], maxTokens: number, overlap: number, tokenizer?: Tokenizer): string[] {
+  // Lines of a split block keep their single line breaks
+  const pieces = blocks.flatMap(block => {
+    const texts = countTokens(block, tokenizer) > maxTokens ? block.split('\n') : [block];
+    return texts.map((text, index) => ({ text, tokens: countTokens(text, tokenizer), separator: index > 0 ? '\n' : '\n\n' }));
+  });
+  const joinPieces = (chunkPieces: typeof pieces) =>
+    chunkPieces.map(({ text, separator }, index) => (index > 0 ? separator : '') + text).join('');
+
+  const chunks: string[] = [];
+  let current: typeof pieces = [];
+  let currentTokens = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && currentTokens + piece.tokens > maxTokens) {
+      chunks.push(joinPieces(current));
+
+      // Repeat the end of the previous chunk, if it leaves room for the next block
+      const previous = current;
+      current = [];
+      currentTokens = 0;
+      for (let i = previous.length - 1; i >= 0; i--) {
+        if (currentTokens + previous[i].tokens > overlap || currentTokens + previous[i].tokens + piece.tokens > maxTokens) {
+          break;
+        }
+        current.unshift(previous[i]);
+        currentTokens += previous[i].tokens;
+      }
+    }
+    current.push(piece);
+    currentTokens += piece.tokens;
+  }
+  if (current.length > 0) {
+    chunks.push(joinPieces(current));
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a processed document into chunks
+ * @param doc - Processed document
+ * @param maxTokens - Maximum number of tokens in a chunk
+ * @param overlap - Number of tokens repeated from the end of the previous chunk of the same section
+ * @param tokenizer - Tokenizer to count tokens with (optional)
+ * @returns Chunks in document order
+ */
+export function chunkDocument(doc: DocInfo, maxTokens: number, overlap: number, tokenizer?: Tokenizer): DocChunk[] {
+  return splitSections(doc).flatMap(section =>
+    packBlocks(section.blocks, maxTokens, overlap, tokenizer).map(text => ({
+      title: doc.title,
+      url: section.anchor ? `${doc.url}#${section.anchor}` : doc.url,
+      breadcrumb: section.breadcrumb,
+      text,
+      tokens: countTokens(text, tokenizer),
+    }))
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * `docusaurus llms` command for the docusaurus-plugin-llms plugin
+ *
+ * Generates the files from the source tree, without building the site.
+ */
+
+import * as path from 'path';
+import * as os from 'os';
+import * as fs from 'fs/promises';
+import type { Plugin } from '@docusaurus/types';
+import { PluginOptions } from './types';
+import { resolveChunksOptions } from './chunks';
+
+/**
+ * Commander program passed to the extendCli lifecycle
+ */
+type Cli = Parameters<NonNullable<Plugin['extendCli']>>[0];
+
+/**
+ * Options of the `docusaurus llms` command
+ */
+export interface LLMsCommandOptions {
+  /** Directory to write the files to, relative to the site directory (default: the build directory) */
+  outDir?: string;
+  /** Name of the single file to generate */
+  only?: string;
+  /** List the files that would be generated without writing them */
+  dryRun?: boolean;
+}
+
+/**
+ * What the command needs from the plugin instance
+ */
+export interface LLMsCommandContext {
+  siteDir: string;
+  outDir: string;
+  options: PluginOptions;
+  /** Generates every file into a directory, with some options overridden */
+  generate: (targetOutDir: string, optionOverrides: Partial<PluginOptions>) => Promise<void>;
+}
+
+/**
+ * Get the option overrides that limit generation to a single file
+ * @param options - Plugin options
+ * @param filename - Name of the standard or custom file to generate
+ * @returns Options disabling every other file
+ * @throws If no file has this name
+ */
+export function getOnlyFileOptions(options: PluginOptions, filename: string): Partial<PluginOptions> {
+  const {
+    llmsTxtFilename = 'llms.txt',
+    llmsFullTxtFilename = 'llms-full.txt',
+    llmsJsonFilename = 'llms.json',
+    llmsCtxFilename = 'llms-ctx.txt',
+    llmsCtxFullFilename = 'llms-ctx-full.txt',
+    customLLMFiles = [],
+  } = options;
+  const chunksOptions = resolveChunksOptions(options.llmsChunks);
+  const disabled: Partial<PluginOptions> = {
+    generateLLMsTxt: false,
+    generateLLMsFullTxt: false,
+    generateLLMsJson: false,
+    generateLLMsCtx: false,
+    generateLLMsCtxFull: false,
+    llmsChunks: false,
+    customLLMFiles: [],
+    versionedFiles: 'none',
+  };
+
+  if (filename === llmsTxtFilename) {
+    return { ...disabled, generateLLMsTxt: true };
+  }
+  if (filename === llmsFullTxtFilename) {
+    return { ...disabled, generateLLMsFullTxt: true };
+  }
+  if (options.generateLLMsJson && filename === llmsJsonFilename) {
+    return { ...disabled, generateLLMsJson: true };
+  }
+  if (options.generateLLMsCtx && filename === llmsCtxFilename) {
+    return { ...disabled, generateLLMsCtx: true };
+  }
+  if (options.generateLLMsCtxFull && filename === llmsCtxFullFilename) {
+    return { ...disabled, generateLLMsCtxFull: true };
+  }
+  if (chunksOptions && filename === chunksOptions.filename) {
+    return { ...disabled, llmsChunks: chunksOptions };
+  }
+  const customFile = customLLMFiles.find(file => file.filename === filename);
+  if (customFile) {
+    return { ...disabled, customLLMFiles: [customFile] };
+  }
+
+  const filenames = [
+    llmsTxtFilename,
+    llmsFullTxtFilename,
+    ...(options.generateLLMsJson ? [llmsJsonFilename] : []),
+    ...(options.generateLLMsCtx ? [llmsCtxFilename] : []),
+    ...(options.generateLLMsCtxFull ? [llmsCtxFullFilename] : []),
+    ...(chunksOptions ? [chunksOptions.filename] : []),
+    ...customLLMFiles.map(file => file.filename),
+  ];
+  throw new Error(`Unknown file "${filename}" for --only, expected one of: ${filenames.join(', ')}`);
+}
+
+/**
+ * List the files in a directory, recursively
+ * @param dir - Directory to list
+ * @returns File paths relative to the directory, sorted
+ */
+async function listFiles(dir: string): Promise<string[]> {
+  const files: string[] = [];
+  // Walked by hand, as the `recursive` option of readdir needs Node.js 18.17
+  const visit = async (relativeDir: string) => {
+    for (const entry of await fs.readdir(path.join(dir, relativeDir), { withFileTypes: true })) {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        await visit(relativePath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  };
+  await visit('');
+  return files.sort();
+}
+
+/**
+ * Run the `docusaurus llms` command
+ * A dry run generates the files into a temporary directory, lists them and removes them.
+ * @param commandOptions - Command line options
+ * @param context - Plugin instance the command belongs to
+ */
+export async function runLLMsCommand(commandOptions: LLMsCommandOptions, context: LLMsCommandContext): Promise<void> {
+  const { siteDir, options, generate } = context;
+  const optionOverrides = commandOptions.only ? getOnlyFileOptions(options, commandOptions.only) : {};
+  const outDir = commandOptions.outDir ? path.resolve(siteDir, commandOptions.outDir) : context.outDir;
+
+  if (!commandOptions.dryRun) {
+    await fs.mkdir(outDir, { recursive: true });
+    await generate(outDir, optionOverrides);
+    console.log(`LLM files written to ${outDir}`);
+    return;
+  }
+
+  const dryRunDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docusaurus-plugin-llms-'));
+  try {
+    await generate(dryRunDir, optionOverrides);
+    const files = await listFiles(dryRunDir);
+    console.log(`Dry run: ${files.length} files would be written to ${outDir}`);
+    for (const file of files) {
+      const { size } = await fs.stat(path.join(dryRunDir, file));
+      console.log(`  ${file.split(path.sep).join('/')} (${size} bytes)`);
+    }
+  } finally {
+    await fs.rm(dryRunDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Register the `docusaurus llms` command
+ * @param cli - Commander program of the Docusaurus CLI
+ * @param context - Plugin instance the command belongs to
+ */
+export function registerLLMsCommand(cli: Cli, context: LLMsCommandContext): void {
+  cli
+    .command('llms')
+    .description('Generate the LLM files from the source files, without building the site.')
+    .option('--out-dir <dir>', 'the directory to write the files to, relative to the site directory (default: build)')
+    .option('--only <filename>', 'only generate the standard or custom file with this name')
+    .option('--dry-run', 'list the files that would be generated without writing them (default: false)')
+    .action((commandOptions: LLMsCommandOptions) => runLLMsCommand(commandOptions, context));
+}
@@ -0,0 +1,57 @@
+/**
+ * Client-side helpers of the docusaurus-plugin-llms plugin, shared by its theme components
+ *
+ * Imported as `docusaurus-plugin-llms/lib/client`, so swizzled and custom components can use them too.
+ */
+
+import { useLocation } from '@docusaurus/router';
+import { useAllPluginInstancesData, usePluginData } from '@docusaurus/useGlobalData';
+import type { PageActionsGlobalData } from './types';
+
+export type { PageActionsGlobalData } from './types';
+
+/** Name the plugin's global data is stored under */
+const PLUGIN_NAME = 'docusaurus-plugin-llms';
+
+/**
+ * Remove the trailing slash of the current location, keeping the root path
+ * @param pathname - URL path of the current page
+ * @returns Key of the page in `markdownFiles`
+ */
+function getPageKey(pathname: string): string {
+  return pathname.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Get the global data of the plugin
+ * Without plugin id, the instance generating the markdown file of the current page is used,
+ * so sites configuring the plugin with a custom `id` work too.
+ * @param pluginId - Id of the plugin instance, if known
+ * @returns The page actions configuration and markdown file URLs, or undefined if the plugin set no global data
+ */
+export function usePageActionsData(pluginId?: string): PageActionsGlobalData | undefined {
+  const { pathname } = useLocation();
+  const instanceData = usePluginData(PLUGIN_NAME, pluginId) as PageActionsGlobalData | undefined;
+  const allInstancesData = useAllPluginInstancesData(PLUGIN_NAME) as
+    Record<string, PageActionsGlobalData | undefined> | undefined;
+
+  if (pluginId !== undefined || instanceData) {
+    return instanceData;
+  }
+  const instances = Object.values(allInstancesData ?? {}).filter(
+    (data): data is PageActionsGlobalData => data !== undefined
+  );
+  const pageKey = getPageKey(pathname);
+  return instances.find(data => data.markdownFiles[pageKey] !== undefined) ?? instances[0];
+}
+
+/**
+ * Get the URL path of the markdown file of the current page
+ * @param pluginId - Id of the plugin instance, if known
+ * @returns The URL path including the base URL, or undefined if the page has no markdown file
+ */
+export function usePageMarkdownUrl(pluginId?: string): string | undefined {
+  const { pathname } = useLocation();
+  const data = usePageActionsData(pluginId);
+  return data?.markdownFiles[getPageKey(pathname)];
+}
@@ -0,0 +1,21 @@
+/**
+ * Types of the global data of the docusaurus-plugin-llms plugin
+ *
+ * Shared by the plugin and its client-side helpers, so this module must not import anything.
+ */
+
+/**
+ * Global data set by the plugin in contentLoaded, completed with the markdown file URLs in allContentLoaded
+ */
+export interface PageActionsGlobalData {
+  /** URL path of the markdown file of each page, keyed by the page permalink without trailing slash */
+  markdownFiles: Record<string, string>;
+  /** Whether the doc footer shows the copy page button */
+  copyPageButton: boolean;
+  /** Assistants the doc footer links to, if any */
+  assistantLinks?: {
+    /** Prompt template, with the `{mdUrl}` and `{pageUrl}` placeholders */
+    prompt: string;
+    targets: { label: string; url: string }[];
+  };
+}
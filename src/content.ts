@@ -0,0 +1,194 @@
+/**
+ * Docusaurus content plugin integration for the docusaurus-plugin-llms plugin
+ *
+ * Reads the documents loaded by the official docs and blog plugins so that
+ * permalinks, ids and sidebar positions come straight from Docusaurus.
+ */
+
+import * as path from 'path';
+import type { AllContent, LoadedPlugin } from '@docusaurus/types';
+import type { LoadedContent as DocsLoadedContent, LoadedVersion } from '@docusaurus/plugin-content-docs';
+import type { BlogContent } from '@docusaurus/plugin-content-blog';
+import { LoadedDoc, SidebarItem } from './types';
+
+const DOCS_PLUGIN_NAME = 'docusaurus-plugin-content-docs';
+const BLOG_PLUGIN_NAME = 'docusaurus-plugin-content-blog';
+/** Id of the docs/blog plugin instance used when no explicit id is configured */
+export const DEFAULT_PLUGIN_ID = 'default';
+/** Name of the docs version read from the docs directory */
+export const CURRENT_VERSION = 'current';
+/** Selects the version a docs plugin instance serves by default (`lastVersion`) */
+export const LAST_VERSION = 'last';
+
+/**
+ * A docs version of the default docs plugin instance
+ */
+export type DocsVersion = Pick<LoadedVersion, 'versionName' | 'label' | 'path' | 'isLast'>;
+
+/**
+ * Find a version of a docs plugin instance
+ * @param docsContent - Content loaded by the docs plugin instance
+ * @param version - Version name, or LAST_VERSION for the version served by default
+ * @returns The loaded version, if any
+ */
+function findLoadedVersion(
+  docsContent: DocsLoadedContent | undefined,
+  version: string
+): LoadedVersion | undefined {
+  const versions = docsContent?.loadedVersions ?? [];
+  if (version === LAST_VERSION) {
+    return versions.find(loadedVersion => loadedVersion.isLast)
+      ?? versions.find(loadedVersion => loadedVersion.versionName === CURRENT_VERSION);
+  }
+  return versions.find(loadedVersion => loadedVersion.versionName === version);
+}
+
+/**
+ * Resolve a source path using the `@site` alias to an absolute path
+ * @param source - Source path (e.g., '@site/docs/intro.md')
+ * @param siteDir - Site directory
+ * @returns Absolute file path
+ */
+export function resolveSitePath(source: string, siteDir: string): string {
+  if (source.startsWith('@site/')) {
+    return path.join(siteDir, source.slice('@site/'.length));
+  }
+  return path.resolve(siteDir, source);
+}
+
+/**
+ * Build the content map passed to `allContentLoaded` from the loaded plugins
+ * Used as a fallback when the `allContentLoaded` lifecycle is not available
+ * @param plugins - Loaded plugins from the postBuild props
+ * @returns Content of all plugins, keyed by plugin name and id
+ */
+export function getAllContentFromPlugins(plugins: LoadedPlugin[]): AllContent {
+  const allContent: AllContent = {};
+  for (const plugin of plugins) {
+    const pluginId = plugin.options?.id ?? DEFAULT_PLUGIN_ID;
+    allContent[plugin.name] = allContent[plugin.name] || {};
+    allContent[plugin.name][pluginId] = plugin.content;
+  }
+  return allContent;
+}
+
+/**
+ * Map a translated document to the file it translates in the default-locale docs directory
+ * In builds of other locales, the docs plugin reads translated documents from the i18n directory
+ * (e.g. i18n/ja/docusaurus-plugin-content-docs/current) and falls back to the docs directory otherwise.
+ * Keying documents by their default-locale path keeps include/ignore patterns and categories working.
+ * @param sourcePath - Absolute path of the loaded source file
+ * @param loadedVersion - Docs version the document belongs to
+ * @returns Absolute path in the default-locale docs directory, or the source path if it is not translated
+ */
+function getDefaultLocalePath(sourcePath: string, loadedVersion: LoadedVersion | undefined): string {
+  const { contentPath, contentPathLocalized } = loadedVersion ?? {};
+  if (!contentPath || !contentPathLocalized) {
+    return sourcePath;
+  }
+  const relativePath = path.relative(contentPathLocalized, sourcePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return sourcePath;
+  }
+  return path.join(contentPath, relativePath);
+}
+
+/**
+ * Collect the documents loaded by the Docusaurus docs plugin (and optionally the blog plugin)
+ * Documents of every docs plugin instance are collected, in the order the instances were loaded.
+ * A specific version name only selects the documents of that version of the default instance.
+ * Draft and unlisted documents are left out, as they are hidden from the built site.
+ * @param allContent - Content of all plugins
+ * @param siteDir - Site directory
+ * @param includeBlog - Whether to include blog posts
+ * @param version - CURRENT_VERSION, LAST_VERSION or a version name of the default instance
+ * @returns Loaded documents keyed by absolute file path, or undefined if the docs plugin content is unavailable
+ */
+export function collectLoadedDocs(
+  allContent: AllContent,
+  siteDir: string,
+  includeBlog: boolean = false,
+  version: string = CURRENT_VERSION
+): Map<string, LoadedDoc> | undefined {
+  const docsInstances = allContent[DOCS_PLUGIN_NAME] as Record<string, DocsLoadedContent> | undefined;
+  if (!docsInstances || Object.keys(docsInstances).length === 0) {
+    return undefined;
+  }
+
+  const loadedDocs = new Map<string, LoadedDoc>();
+  const allInstances = version === CURRENT_VERSION || version === LAST_VERSION;
+
+  for (const [pluginId, docsContent] of Object.entries(docsInstances)) {
+    if (!allInstances && pluginId !== DEFAULT_PLUGIN_ID) {
+      continue;
+    }
+    const loadedVersion = findLoadedVersion(docsContent, version);
+    for (const doc of loadedVersion?.docs ?? []) {
+      if (doc.draft || doc.unlisted) {
+        continue;
+      }
+      const sourcePath = resolveSitePath(doc.source, siteDir);
+      const filePath = getDefaultLocalePath(sourcePath, loadedVersion);
+      loadedDocs.set(filePath, {
+        filePath,
+        sourcePath: sourcePath !== filePath ? sourcePath : undefined,
+        id: doc.id,
+        permalink: doc.permalink,
+        sidebarPosition: doc.sidebarPosition,
+        pluginId,
+        lastUpdatedAt: doc.lastUpdatedAt,
+        title: doc.title,
+        frontMatter: doc.frontMatter,
+      });
+    }
+  }
+
+  if (includeBlog) {
+    const blogContent = allContent[BLOG_PLUGIN_NAME]?.[DEFAULT_PLUGIN_ID] as BlogContent | undefined;
+    for (const post of blogContent?.blogPosts ?? []) {
+      if (post.metadata.unlisted) {
+        continue;
+      }
+      const filePath = resolveSitePath(post.metadata.source, siteDir);
+      loadedDocs.set(filePath, {
+        filePath,
+        id: post.id,
+        permalink: post.metadata.permalink,
+        lastUpdatedAt: post.metadata.lastUpdatedAt,
+        title: post.metadata.title,
+        frontMatter: post.metadata.frontMatter,
+      });
+    }
+  }
+
+  return loadedDocs;
+}
+
+/**
+ * Get the sidebars of a docs version loaded by the Docusaurus docs plugin
+ * @param allContent - Content of all plugins
+ * @param version - CURRENT_VERSION, LAST_VERSION or a version name of the default instance
+ * @returns Sidebars keyed by sidebar name, or undefined if the docs plugin content is unavailable
+ */
+export function getLoadedSidebars(
+  allContent: AllContent,
+  version: string = CURRENT_VERSION
+): Record<string, SidebarItem[]> | undefined {
+  const docsContent = allContent[DOCS_PLUGIN_NAME]?.[DEFAULT_PLUGIN_ID] as DocsLoadedContent | undefined;
+  return findLoadedVersion(docsContent, version)?.sidebars;
+}
+
+/**
+ * Get the docs versions of the default docs plugin instance
+ * @param allContent - Content of all plugins
+ * @returns Versions in the order the docs plugin loaded them (newest first)
+ */
+export function getLoadedVersions(allContent: AllContent): DocsVersion[] {
+  const docsContent = allContent[DOCS_PLUGIN_NAME]?.[DEFAULT_PLUGIN_ID] as DocsLoadedContent | undefined;
+  return (docsContent?.loadedVersions ?? []).map(({ versionName, label, path: versionPath, isLast }) => ({
+    versionName,
+    label,
+    path: versionPath,
+    isLast,
+  }));
+}
@@ -0,0 +1,76 @@
+/**
+ * Page actions ("Copy page as Markdown" and assistant links) for the docusaurus-plugin-llms plugin
+ *
+ * The theme components read the URL of the markdown file of the current page from the plugin's global data,
+ * so the paths computed here must match the ones the individual markdown files are written to.
+ */
+
+import * as path from 'path';
+import { LoadedDoc } from './types';
+import { getLoadedMarkdownFilePaths } from './generator';
+import { shouldIgnoreFile } from './utils';
+
+/** Prompt of the assistant links when none is configured */
+export const DEFAULT_ASSISTANT_PROMPT = 'Read {mdUrl} and answer questions about it';
+
+/**
+ * What the markdown file URLs depend on
+ */
+export interface MarkdownFileUrlOptions {
+  siteDir: string;
+  /** Base URL the site is served from (e.g., '/' or '/docs-site/') */
+  baseUrl: string;
+  docsDir: string;
+  markdownFilesLayout: 'source' | 'route';
+  ignoreFiles: string[];
+}
+
+/**
+ * Remove the trailing slash of a URL path, keeping the root path
+ * @param urlPath - URL path
+ * @returns Path without trailing slash ('/' for the root)
+ */
+export function removeTrailingSlash(urlPath: string): string {
+  return urlPath.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Get the URL of the markdown file generated for each page
+ * Pages matched by `ignoreFiles` have no markdown file and are left out.
+ * @param loadedDocs - Documents loaded by the Docusaurus content plugins
+ * @param options - Options the markdown file paths depend on
+ * @returns URL path of each markdown file, keyed by page permalink without trailing slash
+ */
+export function getMarkdownFileUrls(
+  loadedDocs: Map<string, LoadedDoc>,
+  options: MarkdownFileUrlOptions
+): Record<string, string> {
+  const { siteDir, docsDir, markdownFilesLayout, ignoreFiles } = options;
+  const baseUrl = options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`;
+  const homePermalink = removeTrailingSlash(baseUrl);
+  const markdownFiles: Record<string, string> = {};
+  // Same paths as generateIndividualMarkdownFiles, including the suffix of duplicate paths
+  const sourceLayoutPaths = markdownFilesLayout === 'source'
+    ? getLoadedMarkdownFilePaths(loadedDocs, siteDir, docsDir, ignoreFiles)
+    : new Map<string, string>();
+
+  for (const loadedDoc of loadedDocs.values()) {
+    if (shouldIgnoreFile(loadedDoc.filePath, siteDir, ignoreFiles)) {
+      continue;
+    }
+
+    const permalink = removeTrailingSlash(loadedDoc.permalink);
+    let markdownFileUrl: string;
+    if (markdownFilesLayout === 'route') {
+      // The home page only gets `index.html.md`, as `<route>.md` would be outside the site
+      markdownFileUrl = permalink === homePermalink ? `${baseUrl}index.html.md` : `${permalink}.md`;
+    } else {
+      const docPath = path.relative(siteDir, loadedDoc.filePath).split(path.sep).join('/');
+      markdownFileUrl = `${baseUrl}${sourceLayoutPaths.get(docPath)}`;
+    }
+
+    markdownFiles[permalink] = markdownFileUrl;
+  }
+
+  return markdownFiles;
+}
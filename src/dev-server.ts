@@ -0,0 +1,119 @@
+/**
+ * Development server support for the docusaurus-plugin-llms plugin
+ *
+ * Serves the generated files from `docusaurus start`, where the postBuild hook never runs.
+ * The files are generated on the first request and again after the docs change.
+ */
+
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import type { IncomingMessage, ServerResponse } from 'http';
+
+/**
+ * Connect-style middleware, as registered through the webpack dev server `setupMiddlewares` option
+ */
+export type DevServerMiddleware = (
+  req: IncomingMessage,
+  res: ServerResponse,
+  next: (err?: unknown) => void
+) => Promise<void>;
+
+/**
+ * Middleware serving the generated files, with a way to mark them as outdated
+ */
+export interface DevServerHandler {
+  /** Serves requests for generated files, generating them first when they are outdated */
+  middleware: DevServerMiddleware;
+  /** Marks the generated files as outdated, so the next request generates them again */
+  invalidate: () => void;
+}
+
+/**
+ * Requests that may target a generated file (llms.txt, llms.json, chunks, custom files and individual markdown files)
+ */
+const GENERATED_FILE_PATTERN = /\.(txt|md|json|jsonl)$/;
+
+/**
+ * Content types of the generated files, by extension
+ */
+const CONTENT_TYPES: Record<string, string> = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.jsonl': 'application/jsonl',
+};
+
+/**
+ * Create the middleware serving the generated files on the development server
+ * @param baseUrl - Base URL of the site (e.g., '/' or '/docs-site/')
+ * @param outDir - Directory the files are generated into
+ * @param generate - Generates every file into outDir
+ * @returns The middleware and its invalidation function
+ */
+export function createDevServerHandler(
+  baseUrl: string,
+  outDir: string,
+  generate: () => Promise<void>
+): DevServerHandler {
+  const normalizedBaseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  let outdated = true;
+  let generation: Promise<void> = Promise.resolve();
+
+  // Generations are chained, so files are never removed while a previous generation writes them
+  const ensureGenerated = (): Promise<void> => {
+    if (outdated) {
+      outdated = false;
+      generation = generation
+        .catch(() => undefined)
+        .then(async () => {
+          await fs.rm(outDir, { recursive: true, force: true });
+          await fs.mkdir(outDir, { recursive: true });
+          await generate();
+        })
+        .catch(err => {
+          outdated = true;
+          throw err;
+        });
+    }
+    return generation;
+  };
+
+  const middleware: DevServerMiddleware = async (req, res, next) => {
+    let requestPath: string;
+    try {
+      requestPath = decodeURIComponent(new URL(req.url ?? '/', 'http://localhost').pathname);
+    } catch {
+      next();
+      return;
+    }
+
+    if (!requestPath.startsWith(normalizedBaseUrl) || !GENERATED_FILE_PATTERN.test(requestPath)) {
+      next();
+      return;
+    }
+
+    // Only serve files inside the output directory
+    const filePath = path.resolve(outDir, requestPath.slice(normalizedBaseUrl.length));
+    if (!filePath.startsWith(`${path.resolve(outDir)}${path.sep}`)) {
+      next();
+      return;
+    }
+
+    try {
+      await ensureGenerated();
+      const content = await fs.readFile(filePath);
+      res.setHeader('Content-Type', `${CONTENT_TYPES[path.extname(filePath)]}; charset=utf-8`);
+      res.end(content);
+    } catch (err: any) {
+      // Files that were not generated are left to the other middlewares (e.g. the static directory)
+      next(err?.code === 'ENOENT' ? undefined : err);
+    }
+  };
+
+  return {
+    middleware,
+    invalidate: () => {
+      outdated = true;
+    },
+  };
+}
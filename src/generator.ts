@@ -4,15 +4,23 @@
 
 import * as path from 'path';
 import * as fs from 'fs/promises';
-import { DocInfo, PluginContext, CustomLLMFile } from './types';
+import { createHash } from 'crypto';
+import { DocInfo, LoadedDoc, PluginContext, PluginOptions, CustomLLMFile, TransformOutput, Tokenizer, LLMsJsonDoc, LLMsJsonManifest } from './types';
 import { 
   writeFile, 
   readMarkdownFiles, 
+  shouldIgnoreFile,
   sanitizeForFilename, 
   ensureUniqueIdentifier, 
-  createMarkdownContent 
+  createMarkdownContent,
+  appendFilenameSuffix
 } from './utils';
 import { processFilesWithPatterns } from './processor';
+import { SidebarEntry, resolveSidebar, getSidebarDocs, sortDocsBySidebar } from './sidebar';
+import { DEFAULT_PLUGIN_ID, DocsVersion } from './content';
+import { TokenLimitError, countDocTokens, countTokens } from './tokens';
+import { chunkDocument, resolveChunksOptions } from './chunks';
+import { getOutputFilenames, isSplitPartFilename } from './options';
 
 /**
  * Clean a description for use in a TOC item
@@ -86,6 +94,15 @@ function formatCategoryName(category: string): string {
     .join(' ');
 }
 
+/**
+ * Get the path categories are derived from
+ * @param doc - Document information
+ * @returns Path of the source document, even when `path` points to its generated markdown file
+ */
+function getSourcePath(doc: DocInfo): string {
+  return doc.sourcePath ?? doc.path;
+}
+
 /**
  * Sort documents by sidebar_position, then by path
  * @param docs - Array of documents to sort
@@ -93,12 +110,12 @@ function formatCategoryName(category: string): string {
  */
 function sortDocsByPosition(docs: DocInfo[]): DocInfo[] {
   return [...docs].sort((a, b) => {
-    const posA = a.frontMatter?.sidebar_position ?? 999;
-    const posB = b.frontMatter?.sidebar_position ?? 999;
+    const posA = a.sidebarPosition ?? a.frontMatter?.sidebar_position ?? 999;
+    const posB = b.sidebarPosition ?? b.frontMatter?.sidebar_position ?? 999;
     if (posA !== posB) {
       return posA - posB;
     }
-    return a.path.localeCompare(b.path);
+    return getSourcePath(a).localeCompare(getSourcePath(b));
   });
 }
 
@@ -108,7 +125,7 @@ function sortDocsByPosition(docs: DocInfo[]): DocInfo[] {
  * @param includeDescription - Whether to include description in the link
  * @returns Formatted link string
  */
-function generateLinkItem(doc: DocInfo, includeDescription: boolean): string {
+function generateLinkItem(doc: Pick<DocInfo, 'title' | 'url' | 'description'>, includeDescription: boolean): string {
   if (includeDescription) {
     const cleanedDescription = cleanDescriptionForToc(doc.description);
     return `- [${doc.title}](${doc.url})${cleanedDescription ? `: ${cleanedDescription}` : ''}`;
@@ -174,6 +191,511 @@ async function getCategoryMetadata(docPath: string, siteDir: string, docsDir: st
   return metadata || { position: 999, label: null };
 }
 
+/**
+ * Section of links of llms.txt, with the nested sections of its subcategories
+ * Shaped like a resolved sidebar category, so sidebar categories are used as is.
+ */
+type LinkSection = Extract<SidebarEntry, { type: 'category' }>;
+
+/**
+ * Create a link section listing documents
+ * @param label - Title of the section
+ * @param docs - Documents linked from the section, in order
+ * @returns Link section
+ */
+function createDocsSection(label: string, docs: DocInfo[]): LinkSection {
+  return { type: 'category', label, entries: docs.map(doc => ({ type: 'link', link: doc, doc })) };
+}
+
+/**
+ * Format a link section, nesting its subsections as lower-level headings
+ * @param section - Link section
+ * @param level - Heading level of the section
+ * @param includeDescriptionInLinks - Whether to include description in links
+ * @returns Markdown section
+ */
+function formatLinkSection(section: LinkSection, level: number, includeDescriptionInLinks: boolean): string {
+  const parts: string[] = [];
+  let linkItems: string[] = [];
+  
+  for (const entry of section.entries) {
+    if (entry.type === 'link') {
+      linkItems.push(generateLinkItem(entry.link, includeDescriptionInLinks));
+    } else {
+      if (linkItems.length > 0) {
+        parts.push(linkItems.join('\n'));
+        linkItems = [];
+      }
+      parts.push(formatLinkSection(entry, Math.min(level + 1, 6), includeDescriptionInLinks));
+    }
+  }
+  
+  if (linkItems.length > 0) {
+    parts.push(linkItems.join('\n'));
+  }
+  
+  return `${'#'.repeat(level)} ${section.label}\n\n${parts.join('\n\n')}`;
+}
+
+/**
+ * Generate link sections following a resolved sidebar
+ * Top-level categories become sections with their nested categories as subsections.
+ * Top-level links outside of any category are grouped in a "Docs" section.
+ * @param entries - Resolved sidebar entries
+ * @returns Link sections in sidebar order
+ */
+function generateSidebarSections(entries: SidebarEntry[]): LinkSection[] {
+  const sections: LinkSection[] = [];
+  let linkEntries: SidebarEntry[] = [];
+  
+  const flushLinkEntries = () => {
+    if (linkEntries.length > 0) {
+      sections.push({ type: 'category', label: 'Docs', entries: linkEntries });
+      linkEntries = [];
+    }
+  };
+  
+  for (const entry of entries) {
+    if (entry.type === 'link') {
+      linkEntries.push(entry);
+    } else {
+      flushLinkEntries();
+      sections.push(entry);
+    }
+  }
+  flushLinkEntries();
+  
+  return sections;
+}
+
+/**
+ * Generate link sections grouped by the category derived from each document path
+ * @param docs - Processed document information
+ * @param siteDir - Site directory (optional, needed for category position sorting)
+ * @param docsDir - Docs directory name (optional, needed for category position sorting)
+ * @returns Link sections, one per category, with a subsection per subdirectory
+ */
+async function generateCategorySections(
+  docs: DocInfo[],
+  siteDir: string | undefined,
+  docsDir: string | undefined
+): Promise<LinkSection[]> {
+  // Group docs by category
+  const docsByCategory = new Map<string, DocInfo[]>();
+  
+  for (const doc of docs) {
+    const category = extractCategoryFromPath(getSourcePath(doc));
+    if (!docsByCategory.has(category)) {
+      docsByCategory.set(category, []);
+    }
+    docsByCategory.get(category)!.push(doc);
+  }
+  
+  // Sort categories by position from _category_.json, then alphabetically
+  // Also collect category labels for display
+  const categoryMetadataMap = new Map<string, CategoryMetadata>();
+  if (siteDir && docsDir) {
+    // Read metadata for all categories
+    const metadataPromises = Array.from(docsByCategory.keys()).map(async (category) => {
+      // Get a sample doc from this category to determine path
+      const sampleDoc = docsByCategory.get(category)![0];
+      const metadata = await getCategoryMetadata(getSourcePath(sampleDoc), siteDir, docsDir);
+      categoryMetadataMap.set(category, metadata);
+    });
+    await Promise.all(metadataPromises);
+  }
+  
+  const sortedCategories = Array.from(docsByCategory.keys()).sort((a, b) => {
+    // If we have position data, sort by position first
+    if (categoryMetadataMap.has(a) && categoryMetadataMap.has(b)) {
+      const metaA = categoryMetadataMap.get(a)!;
+      const metaB = categoryMetadataMap.get(b)!;
+      if (metaA.position !== metaB.position) {
+        return metaA.position - metaB.position;
+      }
+    }
+    // Fallback to alphabetical sorting
+    return a.localeCompare(b);
+  });
+  
+  // Generate sections for each category (async to read subdirectory metadata)
+  const categorySectionsPromises = sortedCategories.map(async (category) => {
+    const categoryDocs = docsByCategory.get(category)!;
+    
+    // Group documents by subdirectory
+    const docsBySubdir = new Map<string | null, DocInfo[]>();
+    const subdirPathMap = new Map<string, string>(); // Map subdir name to full path
+    
+    for (const doc of categoryDocs) {
+      const subdir = docsDir ? extractSubdirectoryFromPath(getSourcePath(doc), docsDir) : null;
+      if (!docsBySubdir.has(subdir)) {
+        docsBySubdir.set(subdir, []);
+      }
+      docsBySubdir.get(subdir)!.push(doc);
+      
+      // Collect subdirectory paths for metadata reading (only once per subdir)
+      if (subdir && siteDir && docsDir && !subdirPathMap.has(subdir)) {
+        const pathParts = getSourcePath(doc).replace(/^\/+|\/+$/g, '').replace(/\.mdx?$/, '').split('/');
+        // For subdirectories, we need at least 5 parts: docs/sdk/category/subdir/file
+        if (pathParts.length >= 5 && pathParts[0] === docsDir) {
+          const subdirPath = path.join(siteDir, pathParts.slice(0, 4).join('/'));
+          subdirPathMap.set(subdir, subdirPath);
+        }
+      }
+    }
+    
+    // Read subdirectory metadata
+    const subdirMetadataMap = new Map<string, CategoryMetadata>();
+    if (siteDir && docsDir && subdirPathMap.size > 0) {
+      const metadataPromises = Array.from(subdirPathMap.entries()).map(async ([subdirName, subdirPath]) => {
+        const metadata = await readCategoryMetadata(subdirPath);
+        if (metadata) {
+          subdirMetadataMap.set(subdirName, metadata);
+        }
+      });
+      await Promise.all(metadataPromises);
+    }
+    
+    // Use label from _category_.json if available, otherwise use formatted category name
+    const metadata = categoryMetadataMap.get(category);
+    const categoryTitle = metadata?.label || formatCategoryName(category);
+    
+    // Root-level documents (no subdirectory) come first
+    const section = createDocsSection(categoryTitle, sortDocsByPosition(docsBySubdir.get(null) || []));
+    
+    // Process subdirectories
+    const subdirs = Array.from(docsBySubdir.keys()).filter(s => s !== null) as string[];
+    // Sort subdirectories by position from _category_.json, then alphabetically
+    subdirs.sort((a, b) => {
+      const metaA = subdirMetadataMap.get(a);
+      const metaB = subdirMetadataMap.get(b);
+      if (metaA && metaB) {
+        if (metaA.position !== metaB.position) {
+          return metaA.position - metaB.position;
+        }
+      }
+      // Fallback to alphabetical sorting
+      return a.localeCompare(b);
+    });
+    
+    for (const subdir of subdirs) {
+      const subdirDocs = docsBySubdir.get(subdir)!;
+      const sortedSubdirDocs = sortDocsByPosition(subdirDocs);
+      
+      // Get subdirectory label from metadata or use formatted name
+      const subdirMetadata = subdirMetadataMap.get(subdir);
+      const subdirTitle = subdirMetadata?.label || formatCategoryName(subdir);
+      
+      section.entries.push(createDocsSection(subdirTitle, sortedSubdirDocs));
+    }
+    
+    return section;
+  });
+  
+  return Promise.all(categorySectionsPromises);
+}
+
+/**
+ * Generate the link sections of a links-only file
+ * Follows the resolved sidebar if provided, then groups any documents that are not in it by path.
+ * @param docs - Processed document information
+ * @param siteDir - Site directory (optional, needed for category position sorting)
+ * @param docsDir - Docs directory name (optional, needed for category position sorting)
+ * @param sidebarEntries - Resolved sidebar to build the sections from (optional)
+ * @returns Link sections
+ */
+async function generateLinkSections(
+  docs: DocInfo[],
+  siteDir: string | undefined,
+  docsDir: string | undefined,
+  sidebarEntries?: SidebarEntry[]
+): Promise<LinkSection[]> {
+  if (!sidebarEntries) {
+    return generateCategorySections(docs, siteDir, docsDir);
+  }
+  
+  const sidebarDocs = new Set(getSidebarDocs(sidebarEntries));
+  return [
+    ...generateSidebarSections(sidebarEntries),
+    ...await generateCategorySections(docs.filter(doc => !sidebarDocs.has(doc)), siteDir, docsDir),
+  ];
+}
+
+/**
+ * Get the display label of a docs plugin instance
+ * @param pluginId - Docs plugin instance id (undefined for blog posts and scanned files)
+ * @returns Label for the instance section
+ */
+function formatInstanceLabel(pluginId: string | undefined): string {
+  if (pluginId === undefined) {
+    return 'Other';
+  }
+  return pluginId === DEFAULT_PLUGIN_ID ? 'Docs' : formatCategoryName(pluginId);
+}
+
+/**
+ * Group documents by the docs plugin instance that loaded them, keeping first-seen order
+ * @param docs - Processed document information
+ * @returns Documents keyed by docs plugin instance id
+ */
+function groupDocsByInstance(docs: DocInfo[]): Map<string | undefined, DocInfo[]> {
+  const docsByInstance = new Map<string | undefined, DocInfo[]>();
+  for (const doc of docs) {
+    if (!docsByInstance.has(doc.pluginId)) {
+      docsByInstance.set(doc.pluginId, []);
+    }
+    docsByInstance.get(doc.pluginId)!.push(doc);
+  }
+  return docsByInstance;
+}
+
+/**
+ * Generate the top-level link sections of llms.txt
+ * The expanded context files and the JSON manifest are built from the same sections, so they follow llms.txt.
+ * @param docs - Processed document information
+ * @param siteDir - Site directory (optional, needed for category position sorting)
+ * @param docsDir - Docs directory name (optional, needed for category position sorting)
+ * @param sidebarEntries - Resolved sidebar to build the sections from (optional)
+ * @param groupByInstance - Whether to add one section per docs plugin instance
+ * @returns Link sections, written as `##` sections
+ */
+async function generateTopLevelSections(
+  docs: DocInfo[],
+  siteDir: string | undefined,
+  docsDir: string | undefined,
+  sidebarEntries: SidebarEntry[] | undefined,
+  groupByInstance: boolean
+): Promise<LinkSection[]> {
+  const docsByInstance = groupDocsByInstance(docs);
+  if (!groupByInstance || docsByInstance.size <= 1) {
+    return generateLinkSections(docs, siteDir, docsDir, sidebarEntries);
+  }
+
+  // One section per docs plugin instance, with the categories one level below
+  const instanceSections: LinkSection[] = [];
+  for (const [pluginId, instanceDocs] of docsByInstance) {
+    const sections = await generateLinkSections(
+      instanceDocs,
+      siteDir,
+      docsDir,
+      pluginId === DEFAULT_PLUGIN_ID ? sidebarEntries : undefined
+    );
+    instanceSections.push({ type: 'category', label: formatInstanceLabel(pluginId), entries: sections });
+  }
+  return instanceSections;
+}
+
+/** Separator between the document sections of a full content file */
+const FULL_CONTENT_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Format the sections of a full content file, one per document
+ * Each section starts with a unique H2 heading for the document title.
+ * @param docs - Processed document information
+ * @returns Section of each document, in the same order
+ */
+function formatFullContentSections(docs: DocInfo[]): string[] {
+  const usedHeaders = new Set<string>();
+  return docs.map(doc => {
+    // Check if content already starts with the same heading to avoid duplication
+    const trimmedContent = doc.content.trim();
+    const firstLine = trimmedContent.split('\n')[0];
+    
+    // Check if the first line is a heading that matches our title
+    const headingMatch = firstLine.match(/^#+\s+(.+)$/);
+    const firstHeadingText = headingMatch ? headingMatch[1].trim() : null;
+    
+    // Generate unique header using the utility function
+    const uniqueHeader = ensureUniqueIdentifier(
+      doc.title, 
+      usedHeaders, 
+      (counter, base) => {
+        // Try to make it more descriptive by adding the file path info if available
+        if (doc.path && counter === 2) {
+          const pathParts = doc.path.split('/');
+          const folderName = pathParts.length > 1 ? pathParts[pathParts.length - 2] : '';
+          if (folderName) {
+            return `(${folderName.charAt(0).toUpperCase() + folderName.slice(1)})`;
+          }
+        }
+        return `(${counter})`;
+      }
+    );
+    
+    if (firstHeadingText === doc.title) {
+      // Content already has the same heading, replace it with our unique header if needed
+      if (uniqueHeader !== doc.title) {
+        const restOfContent = trimmedContent.split('\n').slice(1).join('\n');
+        return `## ${uniqueHeader}
+
+${restOfContent}`;
+      } else {
+        // Replace the existing H1 with H2 to comply with llmstxt.org standard
+        const restOfContent = trimmedContent.split('\n').slice(1).join('\n');
+        return `## ${uniqueHeader}
+
+${restOfContent}`;
+      }
+    } else {
+      // Content doesn't have the same heading, add our unique H2 header
+      return `## ${uniqueHeader}
+
+${doc.content}`;
+    }
+  });
+}
+
+/**
+ * Split the documents of a full content file into parts that stay within a size or token threshold
+ * Parts end at document boundaries, so a document larger than the threshold gets a part of its own.
+ * @param docs - Processed document information
+ * @param fileTitle - Title of the file
+ * @param fileDescription - Description of the file
+ * @param rootContent - Content included at the root level of the file (optional)
+ * @param split - Maximum size in bytes and number of tokens of each part
+ * @param tokenizer - Tokenizer to count tokens with (optional)
+ * @returns Documents of each part, or a single part if the whole file fits
+ */
+export function splitFullContentDocs(
+  docs: DocInfo[],
+  fileTitle: string,
+  fileDescription: string,
+  rootContent: string | undefined,
+  split: { maxSize?: number; maxTokens?: number },
+  tokenizer?: Tokenizer
+): DocInfo[][] {
+  const { maxSize = Infinity, maxTokens = Infinity } = split;
+  const measure = (text: string) => ({
+    size: Buffer.byteLength(text, 'utf8'),
+    tokens: maxTokens === Infinity ? 0 : countTokens(text, tokenizer),
+  });
+
+  // Sizes are added up per section, which is close enough to the size of the written file
+  const header = measure(createMarkdownContent(fileTitle, fileDescription, rootContent || '', true));
+  const sections = formatFullContentSections(docs).map(section => measure(`${FULL_CONTENT_SEPARATOR}${section}`));
+
+  const parts: DocInfo[][] = [];
+  let part: DocInfo[] = [];
+  let partSize = header.size;
+  let partTokens = header.tokens;
+  docs.forEach((doc, index) => {
+    const { size, tokens } = sections[index];
+    if (part.length > 0 && (partSize + size > maxSize || partTokens + tokens > maxTokens)) {
+      parts.push(part);
+      part = [];
+      partSize = header.size;
+      partTokens = header.tokens;
+    }
+    part.push(doc);
+    partSize += size;
+    partTokens += tokens;
+  });
+  parts.push(part);
+
+  return parts;
+}
+
+/**
+ * Format the llms.txt section listing the parts of a split full content file
+ * @param parts - Documents of each part
+ * @param partFilenames - Filename of each part
+ * @param outUrl - URL the parts are served from
+ * @returns Section with a link to each part and the documents it contains
+ */
+function formatFullContentPartsSection(parts: DocInfo[][], partFilenames: string[], outUrl: string): string {
+  const links = parts.map((partDocs, index) => {
+    const first = partDocs[0];
+    const last = partDocs[partDocs.length - 1];
+    const contents = partDocs.length === 1
+      ? `${first.title} (1 document)`
+      : `${first.title} to ${last.title} (${partDocs.length} documents)`;
+    return `- [${partFilenames[index]}](${outUrl}/${partFilenames[index]}): ${contents}`;
+  });
+
+  return `## Full Content Parts
+
+The full documentation content is split into ${parts.length} files:
+
+${links.join('\n')}`;
+}
+
+/**
+ * Build the content of an LLM-friendly file, without writing it
+ * @param docs - Processed document information
+ * @param outputPath - Path of the output file
+ * @param fileTitle - Title for the file
+ * @param fileDescription - Description for the file
+ * @param includeFullContent - Whether to include full content or just links
+ * @param version - Version of the file
+ * @param customRootContent - Optional custom content to include at the root level
+ * @param siteDir - Site directory (optional, needed for category position sorting)
+ * @param docsDir - Docs directory name (optional, needed for category position sorting)
+ * @param includeDescriptionInLinks - Whether to include description in links (default: true)
+ * @param sidebarEntries - Resolved sidebar to build the link sections from (optional)
+ * @param groupByInstance - Whether to emit one section per docs plugin instance (default: false)
+ * @param transformOutput - Transform applied to the file content (optional)
+ * @param additionalSections - Sections appended after the links of a links-only file (optional)
+ * @returns The content of the file
+ */
+async function renderLLMFile(
+  docs: DocInfo[],
+  outputPath: string,
+  fileTitle: string,
+  fileDescription: string,
+  includeFullContent: boolean,
+  version?: string,
+  customRootContent?: string,
+  siteDir?: string,
+  docsDir?: string,
+  includeDescriptionInLinks: boolean = true,
+  sidebarEntries?: SidebarEntry[],
+  groupByInstance: boolean = false,
+  transformOutput?: TransformOutput,
+  additionalSections: string[] = []
+): Promise<string> {
+  const versionInfo = version ? `\n\nVersion: ${version}` : '';
+  let llmFileContent: string;
+  
+  if (includeFullContent) {
+    const fullContentSections = formatFullContentSections(docs);
+
+    // Use custom root content or default message
+    const rootContent = customRootContent || 'This file contains all documentation content in a single document following the llmstxt.org standard.';
+    
+    llmFileContent = createMarkdownContent(
+      fileTitle,
+      `${fileDescription}${versionInfo}`,
+      `${rootContent}\n\n${fullContentSections.join(FULL_CONTENT_SEPARATOR)}`,
+      true // include metadata (description)
+    );
+  } else {
+    // Generate links-only file grouped by sidebar category or path category
+    const linkSections = await generateTopLevelSections(docs, siteDir, docsDir, sidebarEntries, groupByInstance);
+    const categorySections = linkSections.map(section => formatLinkSection(section, 2, includeDescriptionInLinks));
+    
+    // Use custom root content or default message
+    const rootContent = customRootContent || 'This file contains links to documentation sections following the llmstxt.org standard.';
+    
+    llmFileContent = createMarkdownContent(
+      fileTitle,
+      `${fileDescription}${versionInfo}`,
+      `${rootContent}\n\n${[...categorySections, ...additionalSections].join('\n\n')}`,
+      true // include metadata (description)
+    );
+  }
+  
+  // Let the site rewrite the file (e.g., to append a license footer)
+  if (transformOutput) {
+    llmFileContent = await transformOutput(llmFileContent, {
+      filename: path.basename(outputPath),
+      fullContent: includeFullContent,
+      version,
+    });
+  }
+  
+  return llmFileContent;
+}
+
 /**
  * Generate an LLM-friendly file
  * @param docs - Processed document information
@@ -186,223 +708,409 @@ async function getCategoryMetadata(docPath: string, siteDir: string, docsDir: st
  * @param siteDir - Site directory (optional, needed for category position sorting)
  * @param docsDir - Docs directory name (optional, needed for category position sorting)
  * @param includeDescriptionInLinks - Whether to include description in links (default: true)
+ * @param sidebarEntries - Resolved sidebar to build the link sections from (optional)
+ * @param groupByInstance - Whether to emit one section per docs plugin instance (default: false)
+ * @param transformOutput - Transform applied to the file content before it is written (optional)
+ * @param additionalSections - Sections appended after the links of a links-only file (optional)
+ * @returns The content written to the file
+ */
+export async function generateLLMFile(
+  docs: DocInfo[],
+  outputPath: string,
+  fileTitle: string,
+  fileDescription: string,
+  includeFullContent: boolean,
+  version?: string,
+  customRootContent?: string,
+  siteDir?: string,
+  docsDir?: string,
+  includeDescriptionInLinks: boolean = true,
+  sidebarEntries?: SidebarEntry[],
+  groupByInstance: boolean = false,
+  transformOutput?: TransformOutput,
+  additionalSections: string[] = []
+): Promise<string> {
+  console.log(`Generating file: ${outputPath}, version: ${version || 'undefined'}`);
+  const llmFileContent = await renderLLMFile(
+    docs,
+    outputPath,
+    fileTitle,
+    fileDescription,
+    includeFullContent,
+    version,
+    customRootContent,
+    siteDir,
+    docsDir,
+    includeDescriptionInLinks,
+    sidebarEntries,
+    groupByInstance,
+    transformOutput,
+    additionalSections
+  );
+  
+  await writeFile(outputPath, llmFileContent);
+  
+  console.log(`Generated: ${outputPath}`);
+  return llmFileContent;
+}
+
+/** Title of the llms.txt section whose links may be skipped, left out of llms-ctx.txt as in llmstxt.org */
+const OPTIONAL_SECTION_TITLE = 'Optional';
+
+/**
+ * Escape a value for an attribute of an expanded context file
+ * @param value - Attribute value
+ * @returns Value safe to write between double quotes
+ */
+function escapeAttribute(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate an expanded context file (llms-ctx.txt or llms-ctx-full.txt)
+ * The documents linked from each llms.txt section are inlined as `<doc>` elements of a `<section>`,
+ * inside a `<project>` element, following the llms_txt2ctx format of llmstxt.org.
+ * @param docs - Processed document information
+ * @param outputPath - Path to write the output file
+ * @param fileTitle - Title of the documentation
+ * @param fileDescription - Description of the documentation
+ * @param includeOptional - Whether to include the documents of the "Optional" section
+ * @param version - Version of the documentation (optional)
+ * @param customRootContent - Content included before the sections (optional)
+ * @param siteDir - Site directory (optional, needed for category position sorting)
+ * @param docsDir - Docs directory name (optional, needed for category position sorting)
+ * @param sidebarEntries - Resolved sidebar the llms.txt sections follow (optional)
+ * @param groupByInstance - Whether llms.txt has one section per docs plugin instance
+ * @param transformOutput - Hook transforming the content before it is written (optional)
+ * @returns Content written to the file and the documents it contains
+ */
+export async function generateLLMsCtxFile(
+  docs: DocInfo[],
+  outputPath: string,
+  fileTitle: string,
+  fileDescription: string,
+  includeOptional: boolean,
+  version?: string,
+  customRootContent?: string,
+  siteDir?: string,
+  docsDir?: string,
+  sidebarEntries?: SidebarEntry[],
+  groupByInstance: boolean = false,
+  transformOutput?: TransformOutput
+): Promise<{ content: string; docs: DocInfo[] }> {
+  console.log(`Generating file: ${outputPath}, version: ${version || 'undefined'}`);
+
+  // Inline the documents linked from each llms.txt section, in llms.txt order
+  const includedDocs = new Set<DocInfo>();
+  const collectSectionDocs = (section: LinkSection): DocInfo[] => section.entries.flatMap(entry => {
+    if (entry.type === 'category') {
+      return includeOptional || entry.label !== OPTIONAL_SECTION_TITLE ? collectSectionDocs(entry) : [];
+    }
+    // Sidebar links to other sites and documents listed twice are only inlined once
+    if (!entry.doc || includedDocs.has(entry.doc)) {
+      return [];
+    }
+    includedDocs.add(entry.doc);
+    return [entry.doc];
+  });
+
+  const linkSections = await generateTopLevelSections(docs, siteDir, docsDir, sidebarEntries, groupByInstance);
+  const sectionElements: string[] = [];
+  for (const section of linkSections) {
+    if (!includeOptional && section.label === OPTIONAL_SECTION_TITLE) {
+      continue;
+    }
+
+    const docElements = collectSectionDocs(section).map(doc =>
+      `<doc title="${escapeAttribute(doc.title)}" url="${escapeAttribute(doc.url)}">\n${doc.content.trim()}\n</doc>`
+    );
+    if (docElements.length > 0) {
+      sectionElements.push(`<section title="${escapeAttribute(section.label)}">\n${docElements.join('\n')}\n</section>`);
+    }
+  }
+
+  const versionAttribute = version ? ` version="${escapeAttribute(version)}"` : '';
+  let ctxContent = [
+    `<project title="${escapeAttribute(fileTitle)}" summary="${escapeAttribute(fileDescription)}"${versionAttribute}>`,
+    ...(customRootContent ? [customRootContent] : []),
+    ...sectionElements,
+    '</project>',
+  ].join('\n') + '\n';
+
+  // Let the site rewrite the file, like the other full content files
+  if (transformOutput) {
+    ctxContent = await transformOutput(ctxContent, {
+      filename: path.basename(outputPath),
+      fullContent: true,
+      version,
+    });
+  }
+
+  await writeFile(outputPath, ctxContent);
+
+  console.log(`Generated: ${outputPath} with ${includedDocs.size} documents`);
+  return { content: ctxContent, docs: Array.from(includedDocs) };
+}
+
+/**
+ * Record the token counts of a generated file for the summary printed after generation
+ * @param context - Plugin context collecting the statistics
+ * @param outputPath - Path of the generated file
+ * @param docs - Documents included in the file
+ * @param content - Content written to the file
+ * @param fullContent - Whether the file contains the content of the documents or only links to them
+ * @param maxTokens - Token budget of the file (optional)
+ * @param truncatedDocs - Number of documents left out to fit the budget (optional)
+ */
+function recordFileStats(
+  context: PluginContext,
+  outputPath: string,
+  docs: DocInfo[],
+  content: string,
+  fullContent: boolean,
+  maxTokens?: number,
+  truncatedDocs?: number
+): void {
+  const { tokenizer } = context.options;
+  context.fileStats?.push({
+    outputPath,
+    tokens: countTokens(content, tokenizer),
+    docs: docs.map(doc => ({ title: doc.title, url: doc.url, tokens: countDocTokens(doc, fullContent, tokenizer) })),
+    maxTokens,
+    truncatedDocs,
+  });
+}
+
+/**
+ * Pick the front matter items to preserve in the generated files
+ * @param doc - Document information
+ * @param keepFrontMatter - Front matter keys to preserve
+ * @returns Preserved items, keyed by front matter key
+ */
+function pickFrontMatter(doc: DocInfo, keepFrontMatter: string[]): Record<string, any> {
+  const preservedFrontMatter: Record<string, any> = {};
+  for (const key of keepFrontMatter) {
+    if (doc.frontMatter && key in doc.frontMatter) {
+      preservedFrontMatter[key] = doc.frontMatter[key];
+    }
+  }
+  return preservedFrontMatter;
+}
+
+/**
+ * Get the section and subsection each document is listed under in llms.txt
+ * Documents listed several times (e.g., twice in the sidebar) keep their first section.
+ * @param sections - Top-level link sections of llms.txt
+ * @returns Section labels, keyed by document
+ */
+function getDocSections(sections: LinkSection[]): Map<DocInfo, { category: string; subcategory: string | null }> {
+  const docSections = new Map<DocInfo, { category: string; subcategory: string | null }>();
+  const visit = (entries: SidebarEntry[], category: string, subcategory: string | null) => {
+    for (const entry of entries) {
+      if (entry.type === 'category') {
+        visit(entry.entries, category, subcategory ?? entry.label);
+      } else if (entry.doc && !docSections.has(entry.doc)) {
+        docSections.set(entry.doc, { category, subcategory });
+      }
+    }
+  };
+  for (const section of sections) {
+    visit(section.entries, section.label, null);
+  }
+  return docSections;
+}
+
+/**
+ * Generate the llms.json manifest with the metadata of each document
+ * Categories are the labels of the llms.txt sections the documents are listed under.
+ * @param docs - Processed document information
+ * @param outputPath - Path to write the manifest
+ * @param fileTitle - Title of the documentation
+ * @param fileDescription - Description of the documentation
+ * @param version - Version of the documentation (optional)
+ * @param siteDir - Site directory
+ * @param docsDir - Docs directory name
+ * @param keepFrontMatter - Front matter items to include for each document
+ * @param tokenizer - Tokenizer to count tokens with (optional)
+ * @param sidebarEntries - Resolved sidebar the llms.txt sections follow (optional)
+ * @param groupByInstance - Whether llms.txt has one section per docs plugin instance
+ */
+export async function generateLLMsJsonFile(
+  docs: DocInfo[],
+  outputPath: string,
+  fileTitle: string,
+  fileDescription: string,
+  version: string | undefined,
+  siteDir: string,
+  docsDir: string,
+  keepFrontMatter: string[] = [],
+  tokenizer?: Tokenizer,
+  sidebarEntries?: SidebarEntry[],
+  groupByInstance: boolean = false
+): Promise<void> {
+  console.log(`Generating file: ${outputPath}, version: ${version || 'undefined'}`);
+
+  const docSections = getDocSections(
+    await generateTopLevelSections(docs, siteDir, docsDir, sidebarEntries, groupByInstance)
+  );
+
+  const manifestDocs = docs.map((doc): LLMsJsonDoc => {
+    // Every document is in a section of llms.txt, the path is only a fallback
+    const { category, subcategory } = docSections.get(doc)
+      ?? { category: formatCategoryName(extractCategoryFromPath(getSourcePath(doc))), subcategory: null };
+
+    return {
+      title: doc.title,
+      url: doc.url,
+      description: doc.description,
+      path: getSourcePath(doc),
+      category,
+      subcategory,
+      frontMatter: pickFrontMatter(doc, keepFrontMatter),
+      tokens: countTokens(doc.content, tokenizer),
+      lastModified: doc.lastModified ?? null,
+      contentHash: createHash('sha256').update(doc.content).digest('hex'),
+    };
+  });
+
+  const manifest: LLMsJsonManifest = {
+    title: fileTitle,
+    description: fileDescription,
+    ...(version ? { version } : {}),
+    docs: manifestDocs,
+  };
+
+  await writeFile(outputPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(`Generated: ${outputPath}`);
+}
+
+/**
+ * Generate the chunked export, with one JSON line per chunk of each document
+ * @param docs - Processed document information
+ * @param outputPath - Path to write the file
+ * @param maxTokens - Maximum number of tokens in a chunk
+ * @param overlap - Number of tokens repeated from the end of the previous chunk of the same section
+ * @param tokenizer - Tokenizer to count tokens with (optional)
  */
-export async function generateLLMFile(
+export async function generateLLMsChunksFile(
   docs: DocInfo[],
   outputPath: string,
-  fileTitle: string,
-  fileDescription: string,
-  includeFullContent: boolean,
-  version?: string,
-  customRootContent?: string,
-  siteDir?: string,
-  docsDir?: string,
-  includeDescriptionInLinks: boolean = true
+  maxTokens: number,
+  overlap: number,
+  tokenizer?: Tokenizer
 ): Promise<void> {
-  console.log(`Generating file: ${outputPath}, version: ${version || 'undefined'}`);
-  const versionInfo = version ? `\n\nVersion: ${version}` : '';
-  
-  if (includeFullContent) {
-    // Generate full content file with header deduplication
-    const usedHeaders = new Set<string>();
-    const fullContentSections = docs.map(doc => {
-      // Check if content already starts with the same heading to avoid duplication
-      const trimmedContent = doc.content.trim();
-      const firstLine = trimmedContent.split('\n')[0];
-      
-      // Check if the first line is a heading that matches our title
-      const headingMatch = firstLine.match(/^#+\s+(.+)$/);
-      const firstHeadingText = headingMatch ? headingMatch[1].trim() : null;
-      
-      // Generate unique header using the utility function
-      const uniqueHeader = ensureUniqueIdentifier(
-        doc.title, 
-        usedHeaders, 
-        (counter, base) => {
-          // Try to make it more descriptive by adding the file path info if available
-          if (doc.path && counter === 2) {
-            const pathParts = doc.path.split('/');
-            const folderName = pathParts.length > 1 ? pathParts[pathParts.length - 2] : '';
-            if (folderName) {
-              return `(${folderName.charAt(0).toUpperCase() + folderName.slice(1)})`;
-            }
-          }
-          return `(${counter})`;
-        }
-      );
-      
-      if (firstHeadingText === doc.title) {
-        // Content already has the same heading, replace it with our unique header if needed
-        if (uniqueHeader !== doc.title) {
-          const restOfContent = trimmedContent.split('\n').slice(1).join('\n');
-          return `## ${uniqueHeader}
+  console.log(`Generating file: ${outputPath}`);
 
-${restOfContent}`;
-        } else {
-          // Replace the existing H1 with H2 to comply with llmstxt.org standard
-          const restOfContent = trimmedContent.split('\n').slice(1).join('\n');
-          return `## ${uniqueHeader}
+  const chunks = docs.flatMap(doc => chunkDocument(doc, maxTokens, overlap, tokenizer));
+  await writeFile(outputPath, chunks.map(chunk => `${JSON.stringify(chunk)}\n`).join(''));
 
-${restOfContent}`;
-        }
-      } else {
-        // Content doesn't have the same heading, add our unique H2 header
-        return `## ${uniqueHeader}
+  console.log(`Generated: ${outputPath} with ${chunks.length} chunks`);
+}
 
-${doc.content}`;
-      }
-    });
+/**
+ * Get the path of the markdown file generated for a document with the 'source' layout
+ * @param docPath - Path of the document relative to the site directory (e.g., 'docs/guides/setup.md')
+ * @param frontMatter - Front matter of the document, whose slug or id replaces the file name
+ * @param docsDir - The configured docs directory name, removed from the start of the path
+ * @returns Path relative to the output directory, without the suffix added to duplicate paths
+ */
+export function getMarkdownFilePath(
+  docPath: string,
+  frontMatter: Record<string, any> | undefined,
+  docsDir: string = 'docs'
+): string {
+  // Use the original path structure as default filename.
+  let relativePath = docPath
+    .replace(/^\/+/, '') // Remove leading slashes
+    .replace(/\.mdx?$/, '.md') // Ensure .md extension
+    .replace(new RegExp(`^${docsDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/`), ''); // Remove configured docs dir prefix
 
-    // Use custom root content or default message
-    const rootContent = customRootContent || 'This file contains all documentation content in a single document following the llmstxt.org standard.';
-    
-    const llmFileContent = createMarkdownContent(
-      fileTitle,
-      `${fileDescription}${versionInfo}`,
-      `${rootContent}\n\n${fullContentSections.join('\n\n---\n\n')}`,
-      true // include metadata (description)
-    );
+  // If frontmatter has slug, use that.
+  if (frontMatter?.slug) {
+    const pathParts = relativePath.replace(/\.md$/, '').split('/');
+    pathParts[pathParts.length - 1] = frontMatter.slug.replace(/^\/+|\/+$/g, '');
+    relativePath = pathParts.join('/') + '.md';
+  } 
+  // Otherwise, if frontmatter has id, use that.
+  else if (frontMatter?.id) {
+    const pathParts = relativePath.replace(/\.md$/, '').split('/');
+    pathParts[pathParts.length - 1] = frontMatter.id;
+    relativePath = pathParts.join('/') + '.md';
+  }
 
-    await writeFile(outputPath, llmFileContent);
-  } else {
-    // Generate links-only file grouped by category
-    // Group docs by category
-    const docsByCategory = new Map<string, DocInfo[]>();
-    
-    for (const doc of docs) {
-      const category = extractCategoryFromPath(doc.path);
-      if (!docsByCategory.has(category)) {
-        docsByCategory.set(category, []);
-      }
-      docsByCategory.get(category)!.push(doc);
-    }
-    
-    // Sort categories by position from _category_.json, then alphabetically
-    // Also collect category labels for display
-    const categoryMetadataMap = new Map<string, CategoryMetadata>();
-    if (siteDir && docsDir) {
-      // Read metadata for all categories
-      const metadataPromises = Array.from(docsByCategory.keys()).map(async (category) => {
-        // Get a sample doc from this category to determine path
-        const sampleDoc = docsByCategory.get(category)![0];
-        const metadata = await getCategoryMetadata(sampleDoc.path, siteDir, docsDir);
-        categoryMetadataMap.set(category, metadata);
-      });
-      await Promise.all(metadataPromises);
+  return relativePath;
+}
+
+/**
+ * Get the unique path of the markdown file generated for a document with the 'source' layout
+ * Documents resolving to a path that is already used get a numbered suffix (e.g., 'setup-2.md').
+ * @param doc - Path relative to the site directory, front matter and title of the document
+ * @param docsDir - The configured docs directory name, removed from the start of the path
+ * @param usedPaths - Lowercased paths already used, to which the returned path is added
+ * @returns Path relative to the output directory
+ */
+function getUniqueMarkdownFilePath(
+  doc: { path: string; frontMatter?: Record<string, any>; title?: string },
+  docsDir: string,
+  usedPaths: Set<string>
+): string {
+  let relativePath = getMarkdownFilePath(doc.path, doc.frontMatter, docsDir);
+
+  // If path is empty or invalid, create a fallback path
+  if (!relativePath || relativePath === '.md') {
+    const sanitizedTitle = sanitizeForFilename(doc.title ?? '', 'untitled');
+    relativePath = `${sanitizedTitle}.md`;
+  }
+
+  // Ensure path uniqueness
+  let uniquePath = relativePath;
+  let counter = 1;
+  while (usedPaths.has(uniquePath.toLowerCase())) {
+    counter++;
+    const pathParts = relativePath.split('.');
+    const extension = pathParts.pop() || 'md';
+    const basePath = pathParts.join('.');
+    uniquePath = `${basePath}-${counter}.${extension}`;
+  }
+  usedPaths.add(uniquePath.toLowerCase());
+
+  return uniquePath;
+}
+
+/**
+ * Get the paths of the markdown files of the documents loaded by the Docusaurus content plugins
+ * The generated files and the page actions both use these paths, so documents sharing a path
+ * get the same numbered suffix whichever subset of documents a file is generated for.
+ * @param loadedDocs - Documents loaded by the Docusaurus content plugins
+ * @param siteDir - Root directory of the site
+ * @param docsDir - The configured docs directory name
+ * @param ignoreFiles - Patterns of the files that get no markdown file
+ * @returns Path relative to the output directory, keyed by document path relative to the site directory
+ */
+export function getLoadedMarkdownFilePaths(
+  loadedDocs: Map<string, LoadedDoc>,
+  siteDir: string,
+  docsDir: string,
+  ignoreFiles: string[]
+): Map<string, string> {
+  const markdownFilePaths = new Map<string, string>();
+  const usedPaths = new Set<string>();
+  for (const loadedDoc of loadedDocs.values()) {
+    if (shouldIgnoreFile(loadedDoc.filePath, siteDir, ignoreFiles)) {
+      continue;
     }
-    
-    const sortedCategories = Array.from(docsByCategory.keys()).sort((a, b) => {
-      // If we have position data, sort by position first
-      if (categoryMetadataMap.has(a) && categoryMetadataMap.has(b)) {
-        const metaA = categoryMetadataMap.get(a)!;
-        const metaB = categoryMetadataMap.get(b)!;
-        if (metaA.position !== metaB.position) {
-          return metaA.position - metaB.position;
-        }
-      }
-      // Fallback to alphabetical sorting
-      return a.localeCompare(b);
-    });
-    
-    // Generate sections for each category (async to read subdirectory metadata)
-    const categorySectionsPromises = sortedCategories.map(async (category) => {
-      const categoryDocs = docsByCategory.get(category)!;
-      
-      // Group documents by subdirectory
-      const docsBySubdir = new Map<string | null, DocInfo[]>();
-      const subdirPathMap = new Map<string, string>(); // Map subdir name to full path
-      
-      for (const doc of categoryDocs) {
-        const subdir = docsDir ? extractSubdirectoryFromPath(doc.path, docsDir) : null;
-        if (!docsBySubdir.has(subdir)) {
-          docsBySubdir.set(subdir, []);
-        }
-        docsBySubdir.get(subdir)!.push(doc);
-        
-        // Collect subdirectory paths for metadata reading (only once per subdir)
-        if (subdir && siteDir && docsDir && !subdirPathMap.has(subdir)) {
-          const pathParts = doc.path.replace(/^\/+|\/+$/g, '').replace(/\.mdx?$/, '').split('/');
-          // For subdirectories, we need at least 5 parts: docs/sdk/category/subdir/file
-          if (pathParts.length >= 5 && pathParts[0] === docsDir) {
-            const subdirPath = path.join(siteDir, pathParts.slice(0, 4).join('/'));
-            subdirPathMap.set(subdir, subdirPath);
-          }
-        }
-      }
-      
-      // Read subdirectory metadata
-      const subdirMetadataMap = new Map<string, CategoryMetadata>();
-      if (siteDir && docsDir && subdirPathMap.size > 0) {
-        const metadataPromises = Array.from(subdirPathMap.entries()).map(async ([subdirName, subdirPath]) => {
-          const metadata = await readCategoryMetadata(subdirPath);
-          if (metadata) {
-            subdirMetadataMap.set(subdirName, metadata);
-          }
-        });
-        await Promise.all(metadataPromises);
-      }
-      
-      // Use label from _category_.json if available, otherwise use formatted category name
-      const metadata = categoryMetadataMap.get(category);
-      const categoryTitle = metadata?.label || formatCategoryName(category);
-      
-      const sections: string[] = [];
-      
-      // Process root-level documents (no subdirectory)
-      const rootDocs = docsBySubdir.get(null) || [];
-      if (rootDocs.length > 0) {
-        const sortedRootDocs = sortDocsByPosition(rootDocs);
-        const rootItems = sortedRootDocs.map(doc => generateLinkItem(doc, includeDescriptionInLinks));
-        sections.push(rootItems.join('\n'));
-      }
-      
-      // Process subdirectories
-      const subdirs = Array.from(docsBySubdir.keys()).filter(s => s !== null) as string[];
-      // Sort subdirectories by position from _category_.json, then alphabetically
-      subdirs.sort((a, b) => {
-        const metaA = subdirMetadataMap.get(a);
-        const metaB = subdirMetadataMap.get(b);
-        if (metaA && metaB) {
-          if (metaA.position !== metaB.position) {
-            return metaA.position - metaB.position;
-          }
-        }
-        // Fallback to alphabetical sorting
-        return a.localeCompare(b);
-      });
-      
-      for (const subdir of subdirs) {
-        const subdirDocs = docsBySubdir.get(subdir)!;
-        const sortedSubdirDocs = sortDocsByPosition(subdirDocs);
-        
-        // Get subdirectory label from metadata or use formatted name
-        const subdirMetadata = subdirMetadataMap.get(subdir);
-        const subdirTitle = subdirMetadata?.label || formatCategoryName(subdir);
-        
-        const subdirItems = sortedSubdirDocs.map(doc => generateLinkItem(doc, includeDescriptionInLinks));
-        
-        sections.push(`### ${subdirTitle}\n\n${subdirItems.join('\n')}`);
-      }
-      
-      return `## ${categoryTitle}\n\n${sections.join('\n\n')}`;
-    });
-    
-    const categorySections = await Promise.all(categorySectionsPromises);
-    
-    // Use custom root content or default message
-    const rootContent = customRootContent || 'This file contains links to documentation sections following the llmstxt.org standard.';
-    
-    const llmFileContent = createMarkdownContent(
-      fileTitle,
-      `${fileDescription}${versionInfo}`,
-      `${rootContent}\n\n${categorySections.join('\n\n')}`,
-      true // include metadata (description)
+    const docPath = path.relative(siteDir, loadedDoc.filePath).split(path.sep).join('/');
+    markdownFilePaths.set(
+      docPath,
+      getUniqueMarkdownFilePath({ path: docPath, frontMatter: loadedDoc.frontMatter, title: loadedDoc.title }, docsDir, usedPaths)
     );
-
-    await writeFile(outputPath, llmFileContent);
   }
-  
-  console.log(`Generated: ${outputPath}`);
+  return markdownFilePaths;
 }
 
 /**
@@ -412,6 +1120,7 @@ ${doc.content}`;
  * @param siteUrl - Base site URL
  * @param docsDir - The configured docs directory name (e.g., 'docs', 'documentation', etc.)
  * @param keepFrontMatter - Array of frontmatter keys to preserve in generated files
+ * @param loadedPaths - Paths assigned to the loaded documents by getLoadedMarkdownFilePaths, keyed by document path
  * @returns Updated docs with new URLs pointing to generated markdown files
  */
 export async function generateIndividualMarkdownFiles(
@@ -419,52 +1128,15 @@ export async function generateIndividualMarkdownFiles(
   outputDir: string,
   siteUrl: string,
   docsDir: string = 'docs',
-  keepFrontMatter: string[] = []
+  keepFrontMatter: string[] = [],
+  loadedPaths: Map<string, string> = new Map()
 ): Promise<DocInfo[]> {
   const updatedDocs: DocInfo[] = [];
-  const usedPaths = new Set<string>();
-  
+  // Other documents must not take the paths of the loaded documents
+  const usedPaths = new Set([...loadedPaths.values()].map(loadedPath => loadedPath.toLowerCase()));
   
   for (const doc of docs) {
-    // Use the original path structure as default filename.
-    let relativePath = doc.path
-      .replace(/^\/+/, '') // Remove leading slashes
-      .replace(/\.mdx?$/, '.md'); // Ensure .md extension
-    
-    
-    relativePath = relativePath
-      .replace(new RegExp(`^${docsDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/`), '');// Remove configured docs dir prefix
-
-    // If frontmatter has slug, use that.
-    if (doc.frontMatter?.slug) {
-      const pathParts = relativePath.replace(/\.md$/, '').split('/');
-      pathParts[pathParts.length - 1] = doc.frontMatter.slug.replace(/^\/+|\/+$/g, '');
-      relativePath = pathParts.join('/') + '.md';
-    } 
-    // Otherwise, if frontmatter has id, use that.
-    else if (doc.frontMatter?.id) {
-      const pathParts = relativePath.replace(/\.md$/, '').split('/');
-      pathParts[pathParts.length - 1] = doc.frontMatter.id;
-      relativePath = pathParts.join('/') + '.md';
-    }
-
-    // If path is empty or invalid, create a fallback path
-    if (!relativePath || relativePath === '.md') {
-      const sanitizedTitle = sanitizeForFilename(doc.title, 'untitled');
-      relativePath = `${sanitizedTitle}.md`;
-    }
-    
-    // Ensure path uniqueness
-    let uniquePath = relativePath;
-    let counter = 1;
-    while (usedPaths.has(uniquePath.toLowerCase())) {
-      counter++;
-      const pathParts = relativePath.split('.');
-      const extension = pathParts.pop() || 'md';
-      const basePath = pathParts.join('.');
-      uniquePath = `${basePath}-${counter}.${extension}`;
-    }
-    usedPaths.add(uniquePath.toLowerCase());
+    const uniquePath = loadedPaths.get(doc.path) ?? getUniqueMarkdownFilePath(doc, docsDir, usedPaths);
     
     // Create the full file path and ensure directory exists
     const fullPath = path.join(outputDir, uniquePath);
@@ -474,14 +1146,7 @@ export async function generateIndividualMarkdownFiles(
     await fs.mkdir(directory, { recursive: true });
     
     // Extract preserved frontmatter if specified
-    let preservedFrontMatter: Record<string, any> = {};
-    if (keepFrontMatter.length > 0 && doc.frontMatter) {
-      for (const key of keepFrontMatter) {
-        if (key in doc.frontMatter) {
-          preservedFrontMatter[key] = doc.frontMatter[key];
-        }
-      }
-    }
+    const preservedFrontMatter = pickFrontMatter(doc, keepFrontMatter);
 
     // Create markdown content using the utility function
     const markdownContent = createMarkdownContent(
@@ -503,7 +1168,8 @@ export async function generateIndividualMarkdownFiles(
     updatedDocs.push({
       ...doc,
       url: newUrl,
-      path: `/${urlPath}` // Update path to the new markdown file
+      path: `/${urlPath}`, // Update path to the new markdown file
+      sourcePath: doc.sourcePath ?? doc.path,
     });
     
     console.log(`Generated markdown file: ${uniquePath}`);
@@ -512,6 +1178,99 @@ export async function generateIndividualMarkdownFiles(
   return updatedDocs;
 }
 
+/**
+ * Generate a markdown twin of each page at its URL plus `.md`, as proposed by llmstxt.org
+ * Pages built as `<route>/index.html` also get `<route>/index.html.md`, and the home page only gets `index.html.md`.
+ * @param docs - Processed document information
+ * @param outputDir - Directory to write the markdown files (served from outUrl)
+ * @param outUrl - URL the output directory is served from
+ * @param keepFrontMatter - Array of frontmatter keys to preserve in generated files
+ * @param indexHtml - Whether pages are built as `<route>/index.html` (default: true)
+ * @returns Updated docs with new URLs pointing to generated markdown files
+ */
+export async function generateRouteMarkdownFiles(
+  docs: DocInfo[],
+  outputDir: string,
+  outUrl: string,
+  keepFrontMatter: string[] = [],
+  indexHtml: boolean = true
+): Promise<DocInfo[]> {
+  const basePath = new URL(outUrl).pathname.replace(/\/+$/, '');
+  const updatedDocs: DocInfo[] = [];
+
+  for (const doc of docs) {
+    const docUrl = new URL(doc.url);
+    const route = decodeURIComponent(docUrl.pathname).replace(/\/+$/, '');
+    if (docUrl.origin !== new URL(outUrl).origin || (route !== basePath && !route.startsWith(`${basePath}/`))) {
+      console.warn(`Skipping markdown file for ${doc.url}: the page is not served from ${outUrl}`);
+      updatedDocs.push(doc);
+      continue;
+    }
+
+    // Route relative to the output directory, e.g. 'docs/guides/setup' ('' for the home page)
+    const routePath = route.slice(basePath.length).replace(/^\/+/, '');
+    const relativePaths = routePath ? [`${routePath}.md`] : [];
+    if (indexHtml || !routePath) {
+      relativePaths.push(routePath ? `${routePath}/index.html.md` : 'index.html.md');
+    }
+
+    const preservedFrontMatter = pickFrontMatter(doc, keepFrontMatter);
+    const markdownContent = createMarkdownContent(
+      doc.title,
+      doc.description,
+      doc.content,
+      true, // includeMetadata
+      Object.keys(preservedFrontMatter).length > 0 ? preservedFrontMatter : undefined
+    );
+
+    for (const relativePath of relativePaths) {
+      const fullPath = path.join(outputDir, relativePath);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await writeFile(fullPath, markdownContent);
+      console.log(`Generated markdown file: ${relativePath}`);
+    }
+
+    // The source path is kept, so llms.txt groups the documents in the same categories
+    updatedDocs.push({
+      ...doc,
+      url: `${outUrl}/${encodeURI(relativePaths[0])}`,
+    });
+  }
+
+  return updatedDocs;
+}
+
+/**
+ * Generate the individual markdown files in the layout set by `markdownFilesLayout`
+ * @param context - Plugin context
+ * @param docs - Processed document information
+ * @returns Updated docs with new URLs pointing to generated markdown files
+ */
+async function generateMarkdownFilesForDocs(context: PluginContext, docs: DocInfo[]): Promise<DocInfo[]> {
+  const { outDir, siteUrl, options } = context;
+  const keepFrontMatter = options.keepFrontMatter || [];
+
+  if (options.markdownFilesLayout === 'route') {
+    return generateRouteMarkdownFiles(docs, outDir, context.outUrl ?? siteUrl, keepFrontMatter, context.trailingSlash !== false);
+  }
+  const loadedPaths = context.loadedDocs
+    ? getLoadedMarkdownFilePaths(context.loadedDocs, context.siteDir, context.docsDir, options.ignoreFiles ?? [])
+    : undefined;
+  return generateIndividualMarkdownFiles(docs, outDir, context.outUrl ?? siteUrl, context.docsDir, keepFrontMatter, loadedPaths);
+}
+
+/**
+ * Names of the standard files written for a set of documents
+ */
+interface StandardFilenames {
+  txt: string;
+  fullTxt: string;
+  json: string;
+  chunks: string;
+  ctx: string;
+  ctxFull: string;
+}
+
 /**
  * Generate standard LLM files (llms.txt and llms-full.txt)
  * @param context - Plugin context
@@ -534,18 +1293,31 @@ export async function generateStandardLLMFiles(
   const { 
     generateLLMsTxt, 
     generateLLMsFullTxt,
+    generateLLMsJson = false,
+    generateLLMsCtx = false,
+    generateLLMsCtxFull = false,
     llmsTxtFilename = 'llms.txt',
     llmsFullTxtFilename = 'llms-full.txt',
+    llmsJsonFilename = 'llms.json',
+    llmsCtxFilename = 'llms-ctx.txt',
+    llmsCtxFullFilename = 'llms-ctx-full.txt',
     includeOrder = [],
     includeUnmatchedLast = true,
     version,
     generateMarkdownFiles = false,
     rootContent,
     fullRootContent,
-    includeDescriptionInLinks = true
+    includeDescriptionInLinks = true,
+    sidebar,
+    docsInstancesOutput = 'merged',
+    transformOutput,
+    tokenizer,
+    llmsFullTxtSplit,
+    llmsChunks
   } = options;
+  const chunksOptions = resolveChunksOptions(llmsChunks);
   
-  if (!generateLLMsTxt && !generateLLMsFullTxt) {
+  if (!generateLLMsTxt && !generateLLMsFullTxt && !generateLLMsJson && !chunksOptions && !generateLLMsCtx && !generateLLMsCtxFull) {
     return;
   }
   
@@ -564,48 +1336,315 @@ export async function generateStandardLLMFiles(
   // Generate individual markdown files if requested
   if (generateMarkdownFiles && processedDocs.length > 0) {
     console.log('Generating individual markdown files...');
-    processedDocs = await generateIndividualMarkdownFiles(
-      processedDocs,
-      outDir,
-      siteUrl,
-      context.docsDir,
-      context.options.keepFrontMatter || []
-    );
+    processedDocs = await generateMarkdownFilesForDocs(context, processedDocs);
   }
   
-  // Generate llms.txt
-  if (generateLLMsTxt) {
-    const llmsTxtPath = path.join(outDir, llmsTxtFilename);
-    await generateLLMFile(
-      processedDocs,
-      llmsTxtPath,
-      docTitle,
-      docDescription,
-      false, // links only
-      version,
-      rootContent,
-      siteDir,
-      docsDir,
-      includeDescriptionInLinks
-    );
+  // Follow the configured sidebar for llms.txt sections and llms-full.txt order
+  // The sidebar belongs to the default docs instance, so only its documents are matched by id
+  let sidebarEntries: SidebarEntry[] | undefined;
+  if (sidebar) {
+    const sidebarItems = context.sidebars?.[sidebar];
+    if (sidebarItems) {
+      const defaultInstanceDocs = processedDocs.filter(doc => doc.pluginId === DEFAULT_PLUGIN_ID);
+      sidebarEntries = resolveSidebar(sidebarItems, defaultInstanceDocs, siteUrl);
+      processedDocs = sortDocsBySidebar(processedDocs, sidebarEntries);
+    } else {
+      console.warn(`Sidebar "${sidebar}" not found, grouping documents by path instead`);
+    }
+  }
+  
+  // Keep the documents of each docs plugin instance together
+  if (docsInstancesOutput === 'sections') {
+    processedDocs = Array.from(groupDocsByInstance(processedDocs).values()).flat();
   }
+  
+  const writeStandardFiles = async (
+    docs: DocInfo[],
+    filenames: StandardFilenames,
+    fileTitle: string,
+    fileSidebarEntries: SidebarEntry[] | undefined
+  ): Promise<void> => {
+    const { txt: txtFilename, fullTxt: fullTxtFilename } = filenames;
+    // Split llms-full.txt into numbered parts when it exceeds the threshold
+    const fullTxtParts = generateLLMsFullTxt && llmsFullTxtSplit
+      ? splitFullContentDocs(docs, fileTitle, docDescription, fullRootContent, llmsFullTxtSplit, tokenizer)
+      : [docs];
+    const isSplit = fullTxtParts.length > 1;
+    const partFilenames = isSplit
+      ? fullTxtParts.map((_, index) => appendFilenameSuffix(fullTxtFilename, String(index + 1)))
+      : [fullTxtFilename];
 
-  // Generate llms-full.txt
-  if (generateLLMsFullTxt) {
-    const llmsFullTxtPath = path.join(outDir, llmsFullTxtFilename);
-    await generateLLMFile(
-      processedDocs,
-      llmsFullTxtPath,
-      docTitle,
-      docDescription,
-      true, // full content
-      version,
-      fullRootContent,
-      siteDir,
-      docsDir,
-      includeDescriptionInLinks
-    );
+    // Generate llms.txt
+    if (generateLLMsTxt) {
+      const llmsTxtPath = path.join(outDir, txtFilename);
+      const llmsTxtContent = await generateLLMFile(
+        docs,
+        llmsTxtPath,
+        fileTitle,
+        docDescription,
+        false, // links only
+        version,
+        rootContent,
+        siteDir,
+        docsDir,
+        includeDescriptionInLinks,
+        fileSidebarEntries,
+        docsInstancesOutput === 'sections',
+        transformOutput,
+        isSplit ? [formatFullContentPartsSection(fullTxtParts, partFilenames, context.outUrl ?? siteUrl)] : []
+      );
+      recordFileStats(context, llmsTxtPath, docs, llmsTxtContent, false);
+    }
+
+    // Generate llms-full.txt, or each of its parts
+    if (generateLLMsFullTxt) {
+      if (isSplit) {
+        console.log(`Splitting ${fullTxtFilename} into ${fullTxtParts.length} parts`);
+      }
+      for (const [index, partDocs] of fullTxtParts.entries()) {
+        const partPath = path.join(outDir, partFilenames[index]);
+        const partContent = await generateLLMFile(
+          partDocs,
+          partPath,
+          isSplit ? `${fileTitle} (Part ${index + 1} of ${fullTxtParts.length})` : fileTitle,
+          docDescription,
+          true, // full content
+          version,
+          fullRootContent || (isSplit
+            ? `This file contains part ${index + 1} of ${fullTxtParts.length} of the documentation content following the llmstxt.org standard.`
+            : undefined),
+          siteDir,
+          docsDir,
+          includeDescriptionInLinks,
+          undefined,
+          false,
+          transformOutput
+        );
+        recordFileStats(context, partPath, partDocs, partContent, true);
+      }
+    }
+
+    // Generate llms.json
+    if (generateLLMsJson) {
+      await generateLLMsJsonFile(
+        docs,
+        path.join(outDir, filenames.json),
+        fileTitle,
+        docDescription,
+        version,
+        siteDir,
+        docsDir,
+        options.keepFrontMatter,
+        tokenizer,
+        fileSidebarEntries,
+        docsInstancesOutput === 'sections'
+      );
+    }
+
+    // Generate the chunked export
+    if (chunksOptions) {
+      await generateLLMsChunksFile(
+        docs,
+        path.join(outDir, filenames.chunks),
+        chunksOptions.maxTokens,
+        chunksOptions.overlap,
+        tokenizer
+      );
+    }
+
+    // Generate llms-ctx.txt (without the Optional section) and llms-ctx-full.txt
+    const ctxFiles = [
+      { enabled: generateLLMsCtx, filename: filenames.ctx, includeOptional: false },
+      { enabled: generateLLMsCtxFull, filename: filenames.ctxFull, includeOptional: true },
+    ];
+    for (const { enabled, filename, includeOptional } of ctxFiles.filter(ctxFile => ctxFile.enabled)) {
+      const ctxPath = path.join(outDir, filename);
+      const ctx = await generateLLMsCtxFile(
+        docs,
+        ctxPath,
+        fileTitle,
+        docDescription,
+        includeOptional,
+        version,
+        rootContent,
+        siteDir,
+        docsDir,
+        fileSidebarEntries,
+        docsInstancesOutput === 'sections',
+        transformOutput
+      );
+      recordFileStats(context, ctxPath, ctx.docs, ctx.content, true);
+    }
+  };
+  
+  const filenames: StandardFilenames = {
+    txt: llmsTxtFilename,
+    fullTxt: llmsFullTxtFilename,
+    json: llmsJsonFilename,
+    chunks: chunksOptions?.filename ?? 'llms-chunks.jsonl',
+    ctx: llmsCtxFilename,
+    ctxFull: llmsCtxFullFilename,
+  };
+  await writeStandardFiles(processedDocs, filenames, docTitle, sidebarEntries);
+  
+  // Generate an additional pair of files for each docs plugin instance
+  if (docsInstancesOutput === 'files') {
+    // The instance ids are only known now, so validateOptions cannot check these filenames
+    const usedFilenames = new Map(getOutputFilenames(options).map(({ filename, option }) => [filename, `"${option}"`]));
+    const enabledFiles: Record<keyof StandardFilenames, boolean> = {
+      txt: Boolean(generateLLMsTxt),
+      fullTxt: Boolean(generateLLMsFullTxt),
+      json: generateLLMsJson,
+      chunks: Boolean(chunksOptions),
+      ctx: generateLLMsCtx,
+      ctxFull: generateLLMsCtxFull,
+    };
+
+    for (const [pluginId, instanceDocs] of groupDocsByInstance(processedDocs)) {
+      if (pluginId === undefined) {
+        continue; // Blog posts and scanned files do not belong to a docs instance
+      }
+      const instanceFilenames: StandardFilenames = {
+        txt: appendFilenameSuffix(filenames.txt, pluginId),
+        fullTxt: appendFilenameSuffix(filenames.fullTxt, pluginId),
+        json: appendFilenameSuffix(filenames.json, pluginId),
+        chunks: appendFilenameSuffix(filenames.chunks, pluginId),
+        ctx: appendFilenameSuffix(filenames.ctx, pluginId),
+        ctxFull: appendFilenameSuffix(filenames.ctxFull, pluginId),
+      };
+      for (const key of Object.keys(instanceFilenames) as (keyof StandardFilenames)[]) {
+        if (!enabledFiles[key]) {
+          continue;
+        }
+        const filename = instanceFilenames[key];
+        const existing = usedFilenames.get(filename);
+        if (existing) {
+          throw new Error(`"${filename}" of the "${pluginId}" docs instance collides with ${existing}`);
+        }
+        usedFilenames.set(filename, `"${filename}" of the "${pluginId}" docs instance`);
+      }
+      await writeStandardFiles(
+        instanceDocs,
+        instanceFilenames,
+        `${docTitle} - ${formatInstanceLabel(pluginId)}`,
+        pluginId === DEFAULT_PLUGIN_ID ? sidebarEntries : undefined
+      );
+    }
+  }
+}
+
+/**
+ * Get the path a docs version is served from, relative to the output directory
+ * @param siteUrl - Site URL, including the baseUrl
+ * @param docsVersion - Docs version
+ * @returns Route path of the version (e.g., '/docs/2.0')
+ */
+function getVersionRoutePath(siteUrl: string, docsVersion: DocsVersion): string {
+  // The version path includes the baseUrl, which is not part of the output directory
+  const baseUrlPath = new URL(siteUrl).pathname.replace(/\/+$/, '');
+  return docsVersion.path.startsWith(baseUrlPath)
+    ? docsVersion.path.slice(baseUrlPath.length)
+    : docsVersion.path;
+}
+
+/**
+ * Get the options of a docs version whose files get the version as filename suffix
+ * @param options - Plugin options
+ * @param siteUrl - Site URL, including the baseUrl
+ * @param docsVersion - Docs version
+ * @returns Options with the suffixed filenames (llms-2.0.txt, llms-full-2.0.txt, ...)
+ */
+function getVersionSuffixOptions(options: PluginOptions, siteUrl: string, docsVersion: DocsVersion): PluginOptions {
+  const versionSuffix = path.posix.basename(getVersionRoutePath(siteUrl, docsVersion)) || docsVersion.versionName;
+  const chunksOptions = resolveChunksOptions(options.llmsChunks);
+  return {
+    ...options,
+    llmsTxtFilename: appendFilenameSuffix(options.llmsTxtFilename ?? 'llms.txt', versionSuffix),
+    llmsFullTxtFilename: appendFilenameSuffix(options.llmsFullTxtFilename ?? 'llms-full.txt', versionSuffix),
+    llmsJsonFilename: appendFilenameSuffix(options.llmsJsonFilename ?? 'llms.json', versionSuffix),
+    llmsChunks: chunksOptions && { ...chunksOptions, filename: appendFilenameSuffix(chunksOptions.filename, versionSuffix) },
+    llmsCtxFilename: appendFilenameSuffix(options.llmsCtxFilename ?? 'llms-ctx.txt', versionSuffix),
+    llmsCtxFullFilename: appendFilenameSuffix(options.llmsCtxFullFilename ?? 'llms-ctx-full.txt', versionSuffix),
+  };
+}
+
+/**
+ * Check that the files of the docs versions do not collide with the other generated files
+ * With `versionedFiles: 'suffix'` the filenames depend on the versions, which are only known
+ * once the docs are loaded, so validateOptions cannot check them.
+ * @param context - Plugin context
+ * @param docsVersions - Docs versions that get their own files
+ * @throws Error if a file of a version has the name of another generated file
+ */
+export function validateVersionedFilenames(context: PluginContext, docsVersions: DocsVersion[]): void {
+  const { siteUrl, options } = context;
+  if (options.versionedFiles !== 'suffix') {
+    return;
   }
+
+  const llmsFullTxtFilename = options.llmsFullTxtFilename ?? 'llms-full.txt';
+  const usedFilenames = new Map(getOutputFilenames(options).map(({ filename, option }) => [filename, `"${option}"`]));
+  for (const docsVersion of docsVersions) {
+    // Custom files are not generated per version
+    const versionOptions = getVersionSuffixOptions({ ...options, customLLMFiles: [] }, siteUrl, docsVersion);
+    for (const { filename } of getOutputFilenames(versionOptions)) {
+      const existing = usedFilenames.get(filename);
+      if (existing) {
+        throw new Error(`"${filename}" of the "${docsVersion.versionName}" docs version collides with ${existing}`);
+      }
+      if (options.llmsFullTxtSplit && isSplitPartFilename(filename, llmsFullTxtFilename)) {
+        throw new Error(
+          `"${filename}" of the "${docsVersion.versionName}" docs version collides with a part of "llmsFullTxtFilename" split by "llmsFullTxtSplit"`
+        );
+      }
+      usedFilenames.set(filename, `"${filename}" of the "${docsVersion.versionName}" docs version`);
+    }
+  }
+}
+
+/**
+ * Generate llms.txt and llms-full.txt for a docs version that is not served by default
+ * Depending on `versionedFiles`, the files get the version as filename suffix (llms-2.0.txt)
+ * or are written to the version's route directory (/docs/2.0/llms.txt).
+ * @param context - Plugin context whose loaded documents and sidebars belong to the version
+ * @param docsVersion - Docs version to generate the files for
+ */
+export async function generateVersionedLLMFiles(
+  context: PluginContext,
+  docsVersion: DocsVersion
+): Promise<void> {
+  const { outDir, siteUrl, options } = context;
+  const versionRoutePath = getVersionRoutePath(siteUrl, docsVersion);
+
+  let versionOutDir = outDir;
+  let versionOptions = options;
+  if (options.versionedFiles === 'directory') {
+    versionOutDir = path.join(outDir, versionRoutePath);
+    await fs.mkdir(versionOutDir, { recursive: true });
+  } else {
+    versionOptions = getVersionSuffixOptions(options, siteUrl, docsVersion);
+  }
+
+  const versionContext: PluginContext = {
+    ...context,
+    outDir: versionOutDir,
+    outUrl: options.versionedFiles === 'directory' ? `${siteUrl}${versionRoutePath.replace(/\/+$/, '')}` : context.outUrl,
+    options: {
+      ...versionOptions,
+      version: docsVersion.label,
+      // Only the default docs instance is versioned here, so there is nothing to split
+      docsInstancesOutput: 'merged',
+    },
+  };
+
+  const versionDocFiles = await collectDocFiles(versionContext);
+  if (versionDocFiles.length === 0) {
+    console.warn(`No documents found for docs version "${docsVersion.versionName}".`);
+    return;
+  }
+
+  console.log(`Generating LLM files for docs version "${docsVersion.versionName}"`);
+  await generateStandardLLMFiles(versionContext, versionDocFiles);
 }
 
 /**
@@ -618,7 +1657,7 @@ export async function generateCustomLLMFiles(
   allDocFiles: string[]
 ): Promise<void> {
   const { outDir, siteDir, siteUrl, docsDir, docTitle, docDescription, options } = context;
-  const { customLLMFiles = [], ignoreFiles = [], generateMarkdownFiles = false, includeDescriptionInLinks = true } = options;
+  const { customLLMFiles = [], ignoreFiles = [], generateMarkdownFiles = false, includeDescriptionInLinks = true, tokenizer } = options;
   
   if (customLLMFiles.length === 0) {
     return;
@@ -649,35 +1688,81 @@ export async function generateCustomLLMFiles(
       // Generate individual markdown files if requested
       if (generateMarkdownFiles) {
         console.log(`Generating individual markdown files for custom file: ${customFile.filename}...`);
-        customDocs = await generateIndividualMarkdownFiles(
-          customDocs,
-          outDir,
-          siteUrl,
-          context.docsDir,
-          context.options.keepFrontMatter || []
-        );
+        customDocs = await generateMarkdownFilesForDocs(context, customDocs);
       }
       
       // Use custom title/description or fall back to defaults
       const customTitle = customFile.title || docTitle;
       const customDescription = customFile.description || docDescription;
       
-      // Generate the custom LLM file
+      // Build the custom LLM file, only written once it fits its token budget
       const customFilePath = path.join(outDir, customFile.filename);
-      await generateLLMFile(
-        customDocs,
+      const renderCustomFile = (docs: DocInfo[]) => renderLLMFile(
+        docs,
         customFilePath,
         customTitle,
         customDescription,
         customFile.fullContent,
-        customFile.version,
+        customFile.version ?? options.version,
         customFile.rootContent,
         siteDir,
         docsDir,
-        includeDescriptionInLinks
+        includeDescriptionInLinks,
+        undefined,
+        false,
+        options.transformOutput
       );
+      console.log(`Generating file: ${customFilePath}, version: ${customFile.version ?? options.version ?? 'undefined'}`);
+      let content = await renderCustomFile(customDocs);
+      let includedDocs = customDocs;
+      
+      // Keep the file within its token budget
+      const { maxTokens, maxTokensStrategy = 'fail' } = customFile;
+      let tokens = countTokens(content, tokenizer);
+      if (maxTokens !== undefined && tokens > maxTokens) {
+        if (maxTokensStrategy !== 'truncate') {
+          throw new TokenLimitError(
+            `Custom LLM file "${customFile.filename}" has ${tokens} tokens, more than its maxTokens of ${maxTokens}`
+          );
+        }
+        
+        // Keep the highest priority documents, the first ones in file order, that fit in the tokens
+        // left once the title, description and root content of the file are counted
+        // Links-only files list the documents by category, so the file order differs from customDocs
+        const renderedDocs = customFile.fullContent
+          ? customDocs
+          : getSidebarDocs(await generateTopLevelSections(customDocs, siteDir, docsDir, undefined, false));
+        const docTokens = renderedDocs.map(doc => countDocTokens(doc, customFile.fullContent, tokenizer));
+        let availableTokens = maxTokens - (tokens - docTokens.reduce((sum, count) => sum + count, 0));
+        let keptDocs = 0;
+        while (keptDocs < renderedDocs.length && docTokens[keptDocs] <= availableTokens) {
+          availableTokens -= docTokens[keptDocs];
+          keptDocs++;
+        }
+        includedDocs = renderedDocs.slice(0, keptDocs);
+        content = await renderCustomFile(includedDocs);
+        tokens = countTokens(content, tokenizer);
+        
+        // The document counts are estimates, leave out more documents if the file still does not fit
+        while (tokens > maxTokens && includedDocs.length > 0) {
+          includedDocs = includedDocs.slice(0, -1);
+          content = await renderCustomFile(includedDocs);
+          tokens = countTokens(content, tokenizer);
+        }
+        if (tokens > maxTokens) {
+          throw new TokenLimitError(
+            `Custom LLM file "${customFile.filename}" has ${tokens} tokens without any document, more than its maxTokens of ${maxTokens}`
+          );
+        }
+        console.warn(
+          `Custom LLM file "${customFile.filename}" exceeded its maxTokens of ${maxTokens}, left out its last ${customDocs.length - includedDocs.length} documents`
+        );
+      }
+      await writeFile(customFilePath, content);
+      console.log(`Generated: ${customFilePath}`);
+      recordFileStats(context, customFilePath, includedDocs, content, customFile.fullContent, maxTokens, customDocs.length - includedDocs.length);
       
-      console.log(`Generated custom LLM file: ${customFile.filename} with ${customDocs.length} documents`);
+      console.log(`Generated custom LLM file: ${customFile.filename} with ${includedDocs.length} documents`);
     } else {
       console.warn(`No matching documents found for custom LLM file: ${customFile.filename}`);
     }
@@ -686,14 +1771,21 @@ export async function generateCustomLLMFiles(
 
 /**
  * Collect all document files from docs directory and optionally blog
+ * When the documents loaded by the Docusaurus content plugins are available they are used
+ * directly, otherwise the docs (and blog) directories are scanned from disk.
  * Note: This function is only called for the default locale build,
  * as non-default locales are filtered out in postBuild hook
  * @param context - Plugin context
  * @returns Array of file paths
  */
 export async function collectDocFiles(context: PluginContext): Promise<string[]> {
-  const { siteDir, docsDir, options } = context;
-  const { ignoreFiles = [], includeBlog = false } = options;
+  const { siteDir, docsDir, options, loadedDocs } = context;
+  const { ignoreFiles = [], includeBlog = false, concurrency } = options;
+  
+  if (loadedDocs) {
+    return Array.from(loadedDocs.keys())
+      .filter(filePath => !shouldIgnoreFile(filePath, siteDir, ignoreFiles));
+  }
   
   const allDocFiles: string[] = [];
   
@@ -704,7 +1796,7 @@ export async function collectDocFiles(context: PluginContext): Promise<string[]>
     await fs.access(fullDocsDir);
     
     // Collect all markdown files from docs directory
-    const docFiles = await readMarkdownFiles(fullDocsDir, siteDir, ignoreFiles);
+    const docFiles = await readMarkdownFiles(fullDocsDir, siteDir, ignoreFiles, concurrency);
     allDocFiles.push(...docFiles);
     
   } catch (err) {
@@ -719,7 +1811,7 @@ export async function collectDocFiles(context: PluginContext): Promise<string[]>
       await fs.access(blogDir);
       
       // Collect all markdown files from blog directory
-      const blogFiles = await readMarkdownFiles(blogDir, siteDir, ignoreFiles);
+      const blogFiles = await readMarkdownFiles(blogDir, siteDir, ignoreFiles, concurrency);
       allDocFiles.push(...blogFiles);
       
     } catch (err) {
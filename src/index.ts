@@ -9,9 +9,37 @@
  */
 
 import * as path from 'path';
-import type { LoadContext, Plugin, Props, RouteConfig } from '@docusaurus/types';
-import { PluginOptions, PluginContext } from './types';
-import { collectDocFiles, generateStandardLLMFiles, generateCustomLLMFiles } from './generator';
+import type { AllContent, LoadContext, Plugin, Props, RouteConfig } from '@docusaurus/types';
+import { PluginOptions, PluginContext, DocInfo, TransformDocContext, TransformOutputContext } from './types';
+import {
+  collectDocFiles,
+  generateStandardLLMFiles,
+  generateCustomLLMFiles,
+  generateVersionedLLMFiles,
+  validateVersionedFilenames,
+} from './generator';
+import { createDevServerHandler } from './dev-server';
+import { registerLLMsCommand } from './cli';
+import { loadDocCache } from './cache';
+import { DEFAULT_CONCURRENCY } from './utils';
+import { TokenLimitError, formatTokenSummary } from './tokens';
+import { DEFAULT_ASSISTANT_PROMPT, getMarkdownFileUrls } from './copy-page';
+import type { PageActionsGlobalData } from './client/types';
+import {
+  CURRENT_VERSION,
+  LAST_VERSION,
+  collectLoadedDocs,
+  getAllContentFromPlugins,
+  getLoadedSidebars,
+  getLoadedVersions,
+} from './content';
+
+export { validateOptions } from './options';
+
+/**
+ * Webpack configuration returned by the configureWebpack lifecycle
+ */
+type ConfigureWebpackResult = ReturnType<NonNullable<Plugin['configureWebpack']>>;
 
 /**
  * Docusaurus i18n configuration interface
@@ -19,7 +47,7 @@ import { collectDocFiles, generateStandardLLMFiles, generateCustomLLMFiles } fro
 interface I18nConfig {
   defaultLocale: string;
   locales: string[];
-  localeConfigs?: Record<string, { label: string }>;
+  localeConfigs?: Record<string, { label: string; path?: string }>;
 }
 
 /**
@@ -106,12 +134,18 @@ export default function docusaurusPluginLLMs(
   const {
     generateLLMsTxt = true,
     generateLLMsFullTxt = true,
+    generateLLMsJson = false,
+    generateLLMsCtx = false,
+    generateLLMsCtxFull = false,
     docsDir = 'docs',
     ignoreFiles = [],
     title,
     description,
     llmsTxtFilename = 'llms.txt',
     llmsFullTxtFilename = 'llms-full.txt',
+    llmsJsonFilename = 'llms.json',
+    llmsCtxFilename = 'llms-ctx.txt',
+    llmsCtxFullFilename = 'llms-ctx-full.txt',
     includeBlog = false,
     pathTransformation,
     includeOrder = [],
@@ -121,9 +155,30 @@ export default function docusaurusPluginLLMs(
     removeDuplicateHeadings = false,
     generateMarkdownFiles = false,
     keepFrontMatter = [],
+    markdownFilesLayout = 'source',
+    copyPageButton = false,
+    assistantLinks,
     rootContent,
     fullRootContent,
     includeDescriptionInLinks = true,
+    sidebar,
+    docsInstancesOutput = 'merged',
+    versionedFiles = 'none',
+    version,
+    generateForAllLocales = false,
+    tabsOutput = 'all',
+    admonitionsOutput = 'keep',
+    admonitionKeywords = [],
+    cleaningMode = 'regex',
+    beforeDefaultRemarkPlugins = [],
+    remarkPlugins = [],
+    transformDoc,
+    transformOutput,
+    cache = true,
+    concurrency = DEFAULT_CONCURRENCY,
+    tokenizer,
+    llmsFullTxtSplit,
+    llmsChunks = false,
   } = options;
 
   const {
@@ -151,15 +206,23 @@ export default function docusaurusPluginLLMs(
     docTitle: title || siteConfig.title,
     docDescription: description || siteConfig.tagline || '',
     defaultLocale,
+    trailingSlash: siteConfig.trailingSlash,
+    markdownFormat: siteConfig.markdown?.format,
     options: {
       generateLLMsTxt,
       generateLLMsFullTxt,
+      generateLLMsJson,
+      generateLLMsCtx,
+      generateLLMsCtxFull,
       docsDir,
       ignoreFiles,
       title,
       description,
       llmsTxtFilename,
       llmsFullTxtFilename,
+      llmsJsonFilename,
+      llmsCtxFilename,
+      llmsCtxFullFilename,
       includeBlog,
       pathTransformation,
       includeOrder,
@@ -169,86 +232,290 @@ export default function docusaurusPluginLLMs(
       removeDuplicateHeadings,
       generateMarkdownFiles,
       keepFrontMatter,
+      markdownFilesLayout,
+      copyPageButton,
+      assistantLinks,
       rootContent,
       fullRootContent,
       includeDescriptionInLinks,
+      sidebar,
+      docsInstancesOutput,
+      versionedFiles,
+      version,
+      generateForAllLocales,
+      tabsOutput,
+      admonitionsOutput,
+      admonitionKeywords,
+      cleaningMode,
+      beforeDefaultRemarkPlugins,
+      remarkPlugins,
+      transformDoc,
+      transformOutput,
+      cache,
+      concurrency,
+      tokenizer,
+      llmsFullTxtSplit,
+      llmsChunks,
+    }
+  };
+
+  /**
+   * Generate every LLM file into a directory
+   * @param allContent - Content loaded by the other plugins, if available
+   * @param targetOutDir - Directory to write the files to
+   * @param targetSiteUrl - Site URL the document URLs are built from
+   * @param props - PostBuild props, when generating after a build
+   * @param optionOverrides - Options to override (e.g., to generate a single file)
+   */
+  const generateFiles = async (
+    allContent: AllContent | undefined,
+    targetOutDir: string,
+    targetSiteUrl: string,
+    props?: Props,
+    optionOverrides: Partial<PluginOptions> = {}
+  ): Promise<void> => {
+    const generationOptions = { ...pluginContext.options, ...optionOverrides };
+    const { versionedFiles: generationVersionedFiles } = generationOptions;
+    
+    // With versioned files, the main files describe the version served by default
+    // and every other version gets its own files
+    const docsVersions = allContent && generationVersionedFiles !== 'none' ? getLoadedVersions(allContent) : [];
+    const mainVersion = docsVersions.length > 0 ? LAST_VERSION : CURRENT_VERSION;
+    const lastVersionLabel = docsVersions.length > 1
+      ? docsVersions.find(docsVersion => docsVersion.isLast)?.label
+      : undefined;
+    
+    // Use the documents loaded by the Docusaurus content plugins when available,
+    // so permalinks and ids come straight from Docusaurus
+    const enhancedContext: PluginContext = {
+      ...pluginContext,
+      outDir: targetOutDir,
+      siteUrl: targetSiteUrl,
+      options: {
+        ...generationOptions,
+        version: generationOptions.version ?? lastVersionLabel,
+      },
+      routesPaths: props?.routesPaths,
+      routes: props?.routes as RouteConfig[] | undefined,
+      loadedDocs: allContent ? collectLoadedDocs(allContent, siteDir, includeBlog, mainVersion) : undefined,
+      sidebars: allContent ? getLoadedSidebars(allContent, mainVersion) : undefined,
+      // Stored next to the webpack cache, so `docusaurus clear` removes it as well
+      cache: cache ? await loadDocCache(path.join(siteDir, 'node_modules', '.cache', 'docusaurus-plugin-llms'), siteDir) : undefined,
+      // Each document is processed once, then filtered into the standard, custom and versioned files
+      processedDocs: new Map(),
+      fileStats: [],
+    };
+    
+    if (generationVersionedFiles !== 'none' && !allContent) {
+      console.warn('Versioned files require the content loaded by the Docusaurus docs plugin, skipping them.');
     }
+    // Check the names of the versioned files before any file is written
+    const otherVersions = docsVersions.filter(docsVersion => !docsVersion.isLast);
+    validateVersionedFilenames(enhancedContext, otherVersions);
+    
+    // Collect all document files
+    const allDocFiles = await collectDocFiles(enhancedContext);
+    
+    // Skip further processing if no documents were found
+    if (allDocFiles.length === 0) {
+      console.warn('No documents found to process.');
+      return;
+    }
+    
+    // Process standard LLM files (llms.txt and llms-full.txt)
+    await generateStandardLLMFiles(enhancedContext, allDocFiles);
+    
+    // Process custom LLM files
+    await generateCustomLLMFiles(enhancedContext, allDocFiles);
+    
+    // Process the files of the other docs versions
+    if (allContent) {
+      for (const docsVersion of otherVersions) {
+        await generateVersionedLLMFiles({
+          ...enhancedContext,
+          loadedDocs: collectLoadedDocs(allContent, siteDir, false, docsVersion.versionName),
+          sidebars: getLoadedSidebars(allContent, docsVersion.versionName),
+        }, docsVersion);
+      }
+    }
+    
+    await enhancedContext.cache?.save();
+    
+    // Output overall statistics
+    console.log(`Stats: ${allDocFiles.length} total available documents processed`);
+    if (enhancedContext.fileStats && enhancedContext.fileStats.length > 0) {
+      console.log(`Approximate token counts:\n${formatTokenSummary(enhancedContext.fileStats, targetOutDir)}`);
+    }
+  };
+
+  // Buttons and links added to the doc pages, pointing to their markdown files
+  const hasPageActions = copyPageButton || assistantLinks !== undefined;
+  const pageActionsData: PageActionsGlobalData = {
+    markdownFiles: {},
+    copyPageButton,
+    assistantLinks: assistantLinks && {
+      prompt: assistantLinks.prompt ?? DEFAULT_ASSISTANT_PROMPT,
+      targets: assistantLinks.targets,
+    },
   };
 
+  // Content of all plugins, captured once Docusaurus has loaded it
+  let loadedContent: AllContent | undefined;
+
+  // `docusaurus start` serves the files from the generated files directory, generated on demand
+  const devOutDir = path.join(context.generatedFilesDir ?? path.join(siteDir, '.docusaurus'), 'docusaurus-plugin-llms');
+  const devServerHandler = createDevServerHandler(
+    siteConfig.baseUrl,
+    devOutDir,
+    () => generateFiles(loadedContent, devOutDir, siteUrl)
+  );
+
   return {
     name: 'docusaurus-plugin-llms',
 
+    // The theme components are only added when a page action is enabled
+    ...(hasPageActions && {
+      getThemePath: () => path.join(__dirname, 'theme'),
+      getTypeScriptThemePath: () => path.join(__dirname, '..', 'src', 'theme'),
+    }),
+
+    /**
+     * Sets the page actions configuration, without markdown files until allContentLoaded adds them
+     * Docusaurus versions before 3.6 do not call allContentLoaded, their doc pages keep the original footer.
+     */
+    async contentLoaded({ actions }): Promise<void> {
+      // Content is loaded again whenever a watched file changes on the development server,
+      // which is the only lifecycle telling versions before 3.6 about it
+      devServerHandler.invalidate();
+
+      if (hasPageActions) {
+        actions.setGlobalData(pageActionsData);
+      }
+    },
+
+    /**
+     * Captures the content loaded by the other plugins (docs and blog metadata)
+     */
+    async allContentLoaded({ allContent, actions }): Promise<void> {
+      loadedContent = allContent;
+      // Generate the files again from the reloaded content
+      devServerHandler.invalidate();
+
+      // Tell the page actions where the markdown file of each page is
+      // Other locales only get markdown files when generateForAllLocales is enabled
+      if (hasPageActions) {
+        const currentLocale = context.i18n?.currentLocale;
+        const isGeneratedLocale = generateForAllLocales || !currentLocale || !defaultLocale || currentLocale === defaultLocale;
+        const hasVersions = versionedFiles !== 'none' && getLoadedVersions(allContent).length > 0;
+        const loadedDocs = isGeneratedLocale
+          ? collectLoadedDocs(allContent, siteDir, includeBlog, hasVersions ? LAST_VERSION : CURRENT_VERSION)
+          : undefined;
+        const globalData: PageActionsGlobalData = {
+          ...pageActionsData,
+          markdownFiles: loadedDocs
+            ? getMarkdownFileUrls(loadedDocs, {
+              siteDir,
+              baseUrl: context.baseUrl ?? siteConfig.baseUrl,
+              docsDir,
+              markdownFilesLayout,
+              ignoreFiles,
+            })
+            : {},
+        };
+        actions.setGlobalData(globalData);
+      }
+    },
+
+    /**
+     * Watches the documents, so the files served by the development server follow their changes
+     */
+    getPathsToWatch(): string[] {
+      const pathsToWatch = [path.join(siteDir, docsDir, '**/*.{md,mdx}')];
+      if (includeBlog) {
+        pathsToWatch.push(path.join(siteDir, 'blog', '**/*.{md,mdx}'));
+      }
+      return pathsToWatch;
+    },
+
+    /**
+     * Registers the `docusaurus llms` command, generating the files from the source tree
+     */
+    extendCli(cli): void {
+      registerLLMsCommand(cli, {
+        siteDir,
+        outDir,
+        options: pluginContext.options,
+        generate: (targetOutDir, optionOverrides) =>
+          generateFiles(undefined, targetOutDir, siteUrl, undefined, optionOverrides),
+      });
+    },
+
+    /**
+     * Serves the files from the development server, where postBuild never runs
+     */
+    configureWebpack(config, isServer): ConfigureWebpackResult {
+      if (isServer || config.mode !== 'development') {
+        return {};
+      }
+      // The webpack configuration type does not declare the dev server options
+      return {
+        devServer: {
+          // Docusaurus joins the middlewares returned here with its own
+          setupMiddlewares: () => [
+            { name: 'docusaurus-plugin-llms', middleware: devServerHandler.middleware },
+          ],
+        },
+      } as ConfigureWebpackResult;
+    },
+
     /**
      * Generates LLM-friendly documentation files after the build is complete
-     * Only generates for the default locale to avoid duplicate content for AI
+     * Only generates for the default locale to avoid duplicate content for AI,
+     * unless generateForAllLocales is enabled
      */
     async postBuild(props?: Props & { content: unknown }): Promise<void> {
       // Check if current build is for default locale
       // Docusaurus builds each locale separately, so we need to detect which locale is being built
+      const i18n = (siteConfig as SiteConfigWithI18n).i18n;
       const currentLocale = detectCurrentLocale(
         siteConfig as SiteConfigWithI18n,
         outDir,
         props
       );
+      const isDefaultLocale = !currentLocale || !defaultLocale || currentLocale === defaultLocale;
 
-      // Only generate llms.txt for default locale
-      if (currentLocale && defaultLocale && currentLocale !== defaultLocale) {
+      // Only generate llms.txt for default locale, unless every locale is requested
+      if (!isDefaultLocale && !generateForAllLocales) {
         return;
       }
      
       try {
-        let enhancedContext = pluginContext;
+        // Prefer the content captured in allContentLoaded, fall back to the loaded plugins in props
+        const allContent = loadedContent
+          ?? (props?.plugins ? getAllContentFromPlugins(props.plugins) : undefined);
         
-        // If props are provided (Docusaurus 3.x+), use the resolved routes
-        if (props?.routes) {
-          // Create a map of file paths to their resolved URLs
-          const routeMap = new Map<string, string>();
-          
-          // Helper function to recursively process routes
-          const processRoutes = (routes: RouteConfig[]) => {
-            routes.forEach(route => {
-              if (route.path) {
-                // Store the actual resolved path
-                routeMap.set(route.path, route.path);
-              }
-              
-              // Process nested routes recursively
-              if (route.routes) {
-                processRoutes(route.routes);
-              }
-            });
-          };
-          
-          // Process all routes (cast to RouteConfig[] for recursive processing)
-          processRoutes(props.routes as RouteConfig[]);
-          
-          // Pass the resolved routes to the plugin context
-          enhancedContext = {
-            ...pluginContext,
-            routesPaths: props.routesPaths,
-            routes: props.routes,
-            routeMap,
-          };
-        }
-        
-        // Collect all document files
-        const allDocFiles = await collectDocFiles(enhancedContext);
-        
-        // Skip further processing if no documents were found
-        if (allDocFiles.length === 0) {
-          console.warn('No documents found to process.');
+        // Translated docs are only known through the content loaded by the docs plugin
+        if (!isDefaultLocale && !allContent) {
+          console.warn(`Locale "${currentLocale}" requires the content loaded by the Docusaurus docs plugin, skipping it.`);
           return;
         }
         
-        // Process standard LLM files (llms.txt and llms-full.txt)
-        await generateStandardLLMFiles(enhancedContext, allDocFiles);
-        
-        // Process custom LLM files
-        await generateCustomLLMFiles(enhancedContext, allDocFiles);
+        // URLs of other locales live under the locale prefix
+        // Docusaurus usually localizes the baseUrl already, so the prefix is only added when missing
+        let localeSiteUrl = siteUrl;
+        if (!isDefaultLocale && currentLocale) {
+          const localeUrlPath = i18n?.localeConfigs?.[currentLocale]?.path ?? currentLocale;
+          if (!siteUrl.endsWith(`/${localeUrlPath}`)) {
+            localeSiteUrl = `${siteUrl}/${localeUrlPath}`;
+          }
+        }
         
-        // Output overall statistics
-        console.log(`Stats: ${allDocFiles.length} total available documents processed`);
+        await generateFiles(allContent, outDir, localeSiteUrl, props);
       } catch (err) {
+        // Files exceeding their token budget fail the build, as consumers rely on the budget
+        if (err instanceof TokenLimitError) {
+          throw err;
+        }
         const errorMessage = err instanceof Error ? err.message : String(err);
         console.error('Error generating LLM documentation:', errorMessage);
         if (err instanceof Error && err.stack) {
@@ -259,4 +526,4 @@ export default function docusaurusPluginLLMs(
   };
 }
 
-export type { PluginOptions };
\ No newline at end of file
+export type { PluginOptions, DocInfo, TransformDocContext, TransformOutputContext };
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * MDX AST-based content cleaning for the docusaurus-plugin-llms plugin
+ *
+ * Parses documents as MDX and rewrites only the MDX-specific nodes (ESM, JSX and
+ * expressions) in the source text, so the rest of the Markdown, and code blocks
+ * in particular, is kept byte for byte.
+ */
+
+import type { Expression, Program } from 'estree';
+import type { PluggableList } from 'unified' with { 'resolution-mode': 'import' };
+import { RemarkPlugin } from './types';
+import { dedent, transformOutsideCodeBlocks } from './mdx';
+
+/**
+ * Minimal shape of the mdast/MDX nodes handled by the pipeline
+ */
+interface MdxNode {
+  type: string;
+  position?: { start: { offset?: number }; end: { offset?: number } };
+  children?: MdxNode[];
+  name?: string | null;
+  data?: { estree?: Program | null };
+}
+
+/** Literal values of the constants declared in a document, keyed by name */
+type Constants = Map<string, string>;
+
+/**
+ * Load the unified packages, which are ESM-only, on first use
+ * @returns The unified processor factory and the remark plugins used by the pipeline
+ */
+async function loadUnified() {
+  const [
+    { unified },
+    { default: remarkParse },
+    { default: remarkMdx },
+    { default: remarkGfm },
+    { default: remarkStringify },
+  ] = await Promise.all([
+    import('unified'),
+    import('remark-parse'),
+    import('remark-mdx'),
+    import('remark-gfm'),
+    import('remark-stringify'),
+  ]);
+  return { unified, remarkParse, remarkMdx, remarkGfm, remarkStringify };
+}
+
+/**
+ * Parse MDX content into an mdast tree with the MDX and GFM syntax extensions
+ * @param content - MDX content
+ * @returns Root node of the tree
+ */
+async function parseMdx(content: string): Promise<MdxNode> {
+  const { unified, remarkParse, remarkMdx, remarkGfm } = await loadUnified();
+  const processor = unified().use(remarkParse).use(remarkMdx).use(remarkGfm);
+  return processor.runSync(processor.parse(content)) as MdxNode;
+}
+
+/**
+ * Run remark plugins on a document and serialize the resulting tree back to Markdown
+ * @param content - Document content
+ * @param plugins - Remark plugins, or plugins with their options
+ * @param mdx - Whether to parse the content as MDX (JSX and ESM nodes) rather than Markdown
+ * @returns Transformed content
+ */
+export async function runRemarkPlugins(content: string, plugins: RemarkPlugin[], mdx: boolean): Promise<string> {
+  const { unified, remarkParse, remarkMdx, remarkGfm, remarkStringify } = await loadUnified();
+
+  const processor = unified().use(remarkParse);
+  if (mdx) {
+    processor.use(remarkMdx);
+  }
+  processor
+    .use(remarkGfm)
+    .use(plugins as PluggableList)
+    .use(remarkStringify, { bullet: '-', rule: '-', fences: true });
+
+  return String(await processor.process(content));
+}
+
+/**
+ * Evaluate an expression to a string, if it is a literal or a known constant
+ * @param expression - Expression from the estree of an MDX node
+ * @param constants - Constants declared in the document
+ * @returns The value as text, or undefined if the expression cannot be evaluated statically
+ */
+function evaluateExpression(expression: Expression, constants: Constants): string | undefined {
+  switch (expression.type) {
+    case 'Literal':
+      return expression.value === null || expression.value instanceof RegExp || typeof expression.value === 'bigint'
+        ? undefined
+        : String(expression.value);
+    case 'TemplateLiteral':
+      return expression.expressions.length === 0 ? expression.quasis[0]?.value.cooked ?? undefined : undefined;
+    case 'Identifier':
+      return constants.get(expression.name);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Collect the constants declared with literal values in the ESM of a document
+ * (e.g., `export const version = '2.0';`), so expressions using them can be evaluated
+ * @param root - Root node of the tree
+ * @returns Constants keyed by name
+ */
+function collectConstants(root: MdxNode): Constants {
+  const constants: Constants = new Map();
+
+  for (const node of root.children ?? []) {
+    if (node.type !== 'mdxjsEsm') {
+      continue;
+    }
+    for (const statement of node.data?.estree?.body ?? []) {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (declaration?.type !== 'VariableDeclaration' || declaration.kind !== 'const') {
+        continue;
+      }
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init) {
+          const value = evaluateExpression(declarator.init, constants);
+          if (value !== undefined) {
+            constants.set(declarator.id.name, value);
+          }
+        }
+      }
+    }
+  }
+
+  return constants;
+}
+
+/**
+ * Render a node back to Markdown, rewriting the MDX nodes it contains
+ * - ESM (import/export) is removed
+ * - Expressions are replaced by their value when it is statically known, and removed otherwise
+ *   (this includes `{/* comments *\/}`)
+ * - JSX elements are replaced by their children; elements without children are removed
+ * All other text is sliced from the source unchanged.
+ * @param node - Node to render
+ * @param source - Source the tree was parsed from
+ * @param constants - Constants declared in the document
+ * @returns Rendered Markdown
+ */
+function renderNode(node: MdxNode, source: string, constants: Constants): string {
+  switch (node.type) {
+    case 'mdxjsEsm':
+      return '';
+    case 'mdxFlowExpression':
+    case 'mdxTextExpression': {
+      const statement = node.data?.estree?.body[0];
+      return statement?.type === 'ExpressionStatement'
+        ? evaluateExpression(statement.expression, constants) ?? ''
+        : '';
+    }
+    case 'mdxJsxFlowElement':
+    case 'mdxJsxTextElement': {
+      const children = node.children ?? [];
+      if (children.length === 0) {
+        return '';
+      }
+      let start = children[0].position?.start.offset;
+      const end = children[children.length - 1].position?.end.offset;
+      if (start === undefined || end === undefined) {
+        return '';
+      }
+      if (node.type === 'mdxJsxTextElement') {
+        return renderRange(children, source, start, end, constants);
+      }
+      // Flow children are usually indented inside the element: include the indentation
+      // of the first line, so the block can be dedented as a whole
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      if (/^[ \t]*$/.test(source.slice(lineStart, start))) {
+        start = lineStart;
+      }
+      return dedent(renderRange(children, source, start, end, constants));
+    }
+    default: {
+      const start = node.position?.start.offset;
+      const end = node.position?.end.offset;
+      if (start === undefined || end === undefined) {
+        return '';
+      }
+      return renderRange(node.children ?? [], source, start, end, constants);
+    }
+  }
+}
+
+/**
+ * Render a range of the source, replacing the ranges of the given nodes with their rendering
+ * @param nodes - Nodes within the range, in source order
+ * @param source - Source the tree was parsed from
+ * @param start - Start offset of the range
+ * @param end - End offset of the range
+ * @param constants - Constants declared in the document
+ * @returns Rendered Markdown
+ */
+function renderRange(nodes: MdxNode[], source: string, start: number, end: number, constants: Constants): string {
+  let output = '';
+  let offset = start;
+
+  for (const node of nodes) {
+    const nodeStart = node.position?.start.offset;
+    const nodeEnd = node.position?.end.offset;
+    if (nodeStart === undefined || nodeEnd === undefined) {
+      continue;
+    }
+    output += source.slice(offset, nodeStart) + renderNode(node, source, constants);
+    offset = nodeEnd;
+  }
+
+  return output + source.slice(offset, end);
+}
+
+/**
+ * Clean MDX content using its syntax tree: removes ESM, evaluates or strips expressions
+ * and unwraps JSX elements, without touching code blocks or other Markdown
+ * Explicit heading ids are removed, as they are only used for anchors on the site.
+ * @param content - MDX content (without front matter)
+ * @returns Cleaned Markdown
+ * @throws If the content is not valid MDX
+ */
+export async function cleanMdxContent(content: string): Promise<string> {
+  // Explicit heading ids ({#custom-id}) are Docusaurus syntax rather than MDX expressions
+  const source = transformOutsideCodeBlocks(content, text => text.replace(/^([ \t]*#{1,6}[ \t].*?)[ \t]*\{#[^}]*\}[ \t]*$/gm, '$1'));
+  const root = await parseMdx(source);
+  return renderNode(root, source, collectConstants(root));
+}
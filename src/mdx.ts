@@ -0,0 +1,431 @@
+/**
+ * MDX component transformation functions for the docusaurus-plugin-llms plugin
+ *
+ * Rewrites Docusaurus theme components used in MDX documents into plain Markdown
+ * that reads well outside of the rendered site.
+ */
+
+import { MdxTransformOptions } from './types';
+
+/** Placeholder wrapping the index of a protected code block, after its indentation or blockquote markers */
+const CODE_BLOCK_PLACEHOLDER = /^((?:[ \t]|>)*)\u0000CODE_BLOCK_(\d+)\u0000$/gm;
+
+/** Admonition keywords supported by Docusaurus out of the box */
+const DEFAULT_ADMONITION_KEYWORDS = ['note', 'tip', 'info', 'warning', 'danger', 'caution', 'important', 'secondary', 'success'];
+
+/** GitHub alert types for the Docusaurus admonition keywords (other keywords become notes) */
+const GITHUB_ALERT_TYPES: Record<string, string> = {
+  note: 'NOTE',
+  info: 'NOTE',
+  secondary: 'NOTE',
+  tip: 'TIP',
+  success: 'TIP',
+  important: 'IMPORTANT',
+  warning: 'WARNING',
+  caution: 'WARNING',
+  danger: 'CAUTION',
+};
+
+/**
+ * Run a transformation on Markdown content without touching fenced code blocks
+ * Code blocks are swapped for placeholders during the transformation, so examples
+ * showing component usage are kept verbatim. When restored, a code block takes the
+ * indentation (or blockquote markers) of its placeholder, so code moved out of an
+ * indented block or into a callout stays aligned.
+ * @param content - Markdown content
+ * @param transform - Transformation applied to the content outside of code blocks
+ * @returns Transformed content
+ */
+export function transformOutsideCodeBlocks(content: string, transform: (text: string) => string): string {
+  const codeBlocks: string[] = [];
+  const lines = content.split('\n');
+  const outputLines: string[] = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const opening = lines[i].match(/^([ \t]*)(`{3,}|~{3,})/);
+    if (!opening) {
+      outputLines.push(lines[i]);
+      continue;
+    }
+
+    // Collect the block up to the closing fence (or the end of the content)
+    const [, indent, fence] = opening;
+    const closingFence = new RegExp(`^[ \\t]*${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+    const blockLines = [lines[i]];
+    while (i + 1 < lines.length) {
+      i++;
+      blockLines.push(lines[i]);
+      if (closingFence.test(lines[i])) {
+        break;
+      }
+    }
+
+    codeBlocks.push(blockLines.map(line => line.startsWith(indent) ? line.slice(indent.length) : line.trimStart()).join('\n'));
+    outputLines.push(`${indent}\u0000CODE_BLOCK_${codeBlocks.length - 1}\u0000`);
+  }
+
+  const transformed = transform(outputLines.join('\n'));
+
+  return transformed.replace(CODE_BLOCK_PLACEHOLDER, (_match, prefix: string, index: string) =>
+    codeBlocks[Number(index)].split('\n').map(line => line ? prefix + line : prefix.trimEnd()).join('\n')
+  );
+}
+
+/**
+ * Parse the attributes of a JSX opening tag
+ * Supports string values ("x", 'x', {'x'}, {"x"}), boolean values ({true}, {false}) and bare attributes.
+ * @param attributes - Attribute source of the tag (e.g., 'value="npm" label="npm" default')
+ * @returns Attribute values keyed by name (true for bare attributes)
+ */
+export function parseJsxAttributes(attributes: string): Record<string, string | boolean> {
+  const parsed: Record<string, string | boolean> = {};
+  const attributePattern = /([A-Za-z_][\w-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*(?:"([^"]*)"|'([^']*)'|`([^`]*)`|(true|false))\s*\}|\{[^}]*\}))?/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = attributePattern.exec(attributes)) !== null) {
+    const [source, name, ...values] = match;
+    const booleanValue = values[5];
+    const stringValue = values.slice(0, 5).find(value => value !== undefined);
+
+    if (stringValue !== undefined) {
+      parsed[name] = stringValue;
+    } else if (booleanValue !== undefined) {
+      parsed[name] = booleanValue === 'true';
+    } else if (!source.includes('=')) {
+      parsed[name] = true;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Remove the common indentation of a block of lines
+ * @param text - Indented text
+ * @returns Text without common indentation or surrounding blank lines
+ */
+export function dedent(text: string): string {
+  const lines = text.replace(/^\s*\n|\n\s*$/g, '').split('\n');
+  const indents = lines
+    .filter(line => line.trim() !== '')
+    .map(line => line.match(/^[ \t]*/)![0].length);
+  const commonIndent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(Math.min(commonIndent, line.match(/^[ \t]*/)![0].length))).join('\n');
+}
+
+/**
+ * Read the tab labels declared with the `values` prop of a Tabs component
+ * @param attributes - Attribute source of the Tabs tag
+ * @returns Labels keyed by tab value
+ */
+function parseTabsValues(attributes: string): Map<string, string> {
+  const labels = new Map<string, string>();
+  const valuesProp = attributes.match(/\bvalues\s*=\s*\{\s*\[([\s\S]*?)\]\s*\}/);
+  if (!valuesProp) {
+    return labels;
+  }
+
+  for (const entry of valuesProp[1].match(/\{[^{}]*\}/g) ?? []) {
+    const label = entry.match(/\blabel\s*:\s*(['"`])(.*?)\1/);
+    const value = entry.match(/\bvalue\s*:\s*(['"`])(.*?)\1/);
+    if (value) {
+      labels.set(value[2], label ? label[2] : value[2]);
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Convert Docusaurus `<Tabs>`/`<TabItem>` blocks into Markdown
+ * With 'all', every tab becomes a labelled subsection ("**npm:**" followed by the tab body).
+ * With 'default', only the body of the default tab is kept: the tab marked `default`, the tab
+ * matching the `defaultValue` of the Tabs, or the first tab, as Docusaurus renders it.
+ * @param content - Markdown content
+ * @param tabsOutput - Which tabs to keep
+ * @returns Content with tabs converted
+ */
+export function convertTabs(content: string, tabsOutput: 'all' | 'default' = 'all'): string {
+  // Innermost Tabs first, so nested tabs end up inside the converted tab bodies
+  const innermostTabs = /<Tabs\b((?:[^>"'{}]|"[^"]*"|'[^']*'|\{(?:[^{}]|\{[^{}]*\})*\})*)>((?:(?!<Tabs\b)[\s\S])*?)<\/Tabs>/g;
+  const tabItemPattern = /<TabItem\b((?:[^>"'{}]|"[^"]*"|'[^']*'|\{[^{}]*\})*)>([\s\S]*?)<\/TabItem>/g;
+
+  let converted = content;
+  let match: RegExpExecArray | null;
+  while ((match = innermostTabs.exec(converted)) !== null) {
+    const [tabsSource, tabsAttributes, tabsBody] = match;
+
+    // Only Tabs starting on their own line are blocks, converting inline Tabs would split their paragraph
+    const lineStart = converted.lastIndexOf('\n', match.index - 1) + 1;
+    const indent = converted.slice(lineStart, match.index);
+    if (!/^[ \t]*$/.test(indent)) {
+      innermostTabs.lastIndex = match.index + 1;
+      continue;
+    }
+
+    const { defaultValue } = parseJsxAttributes(tabsAttributes.replace(/\bvalues\s*=\s*\{\s*\[[\s\S]*?\]\s*\}/, ''));
+    const valueLabels = parseTabsValues(tabsAttributes);
+
+    const tabs = Array.from(tabsBody.matchAll(tabItemPattern)).map(([, itemAttributes, itemBody]) => {
+      const attributes = parseJsxAttributes(itemAttributes);
+      const value = typeof attributes.value === 'string' ? attributes.value : undefined;
+      const label = typeof attributes.label === 'string'
+        ? attributes.label
+        : (value !== undefined ? valueLabels.get(value) ?? value : undefined);
+      return { value, label, isDefault: attributes.default === true, body: dedent(itemBody) };
+    });
+
+    let replacement: string;
+    if (tabsOutput === 'default') {
+      const defaultTab = tabs.find(tab => tab.isDefault)
+        ?? tabs.find(tab => defaultValue !== undefined && tab.value === defaultValue)
+        ?? tabs[0];
+      replacement = defaultTab ? defaultTab.body : '';
+    } else {
+      replacement = tabs
+        .map(tab => tab.label ? `**${tab.label}:**\n\n${tab.body}` : tab.body)
+        .join('\n\n');
+    }
+
+    // Keep the indentation of the Tabs, so tabs nested in another tab stay part of its body
+    const indentedReplacement = replacement.split('\n').map(line => line ? indent + line : line).join('\n');
+
+    converted = converted.slice(0, lineStart)
+      + `\n${indentedReplacement}\n`
+      + converted.slice(match.index + tabsSource.length);
+    // Converting nested tabs can turn the enclosing Tabs into the innermost ones
+    innermostTabs.lastIndex = 0;
+  }
+
+  return converted;
+}
+
+/**
+ * Source code imported with raw-loader, keyed by the imported name
+ */
+export type RawSources = Map<string, { code: string; filePath: string }>;
+
+/** Code block languages for file extensions that do not match the language name */
+const EXTENSION_LANGUAGES: Record<string, string> = {
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  kt: 'kotlin',
+  sh: 'bash',
+  yml: 'yaml',
+  md: 'markdown',
+  mdx: 'mdx',
+  cs: 'csharp',
+};
+
+/**
+ * Infer a code block language from a file extension
+ * @param filePath - Path of the source file
+ * @returns Language name (e.g., 'python' for 'example.py')
+ */
+function inferLanguage(filePath: string): string {
+  const extension = filePath.split(/[\\/]/).pop()!.split('.').slice(1).pop()?.toLowerCase() ?? '';
+  return EXTENSION_LANGUAGES[extension] ?? extension;
+}
+
+/**
+ * Build a fenced code block, using a fence longer than any backtick run in the code
+ * @param code - Code to wrap
+ * @param language - Code block language
+ * @param title - Code block title
+ * @returns Fenced code block
+ */
+function createFencedCodeBlock(code: string, language?: string, title?: string): string {
+  const longestBacktickRun = Math.max(0, ...(code.match(/`+/g) ?? []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestBacktickRun + 1));
+  const meta = [language, title ? `title="${title}"` : ''].filter(Boolean).join(' ');
+  return `${fence}${meta}\n${code.replace(/^\n+|\s+$/g, '')}\n${fence}`;
+}
+
+/**
+ * Convert Docusaurus `<CodeBlock>` components into fenced code blocks
+ * The code comes from a raw-loader import (`{Example}`), a string or template literal
+ * (`{\`...\`}`) or plain text children. CodeBlocks referencing unknown variables are left untouched.
+ * @param content - Markdown content
+ * @param rawSources - Source code imported with raw-loader
+ * @returns Content with code blocks converted
+ */
+export function convertCodeBlocks(content: string, rawSources: RawSources = new Map()): string {
+  const codeBlockPattern = /<CodeBlock\b((?:[^>"'{}]|"[^"]*"|'[^']*'|\{[^{}]*\})*)>([\s\S]*?)<\/CodeBlock>/g;
+
+  return content.replace(codeBlockPattern, (source, attributeSource: string, children: string, offset: number) => {
+    const attributes = parseJsxAttributes(attributeSource);
+    const trimmedChildren = children.trim();
+
+    let code: string;
+    let language = typeof attributes.language === 'string' ? attributes.language : undefined;
+    const variable = trimmedChildren.match(/^\{\s*([A-Za-z_$][\w$]*)\s*\}$/);
+    const literal = trimmedChildren.match(/^\{\s*(`(?:\\[\s\S]|[^`\\])*`|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")\s*\}$/);
+
+    if (variable) {
+      const rawSource = rawSources.get(variable[1]);
+      if (!rawSource) {
+        return source;
+      }
+      code = rawSource.code;
+      language = language ?? inferLanguage(rawSource.filePath);
+    } else if (literal) {
+      const escapes: Record<string, string> = { n: '\n', t: '\t' };
+      code = literal[1].slice(1, -1).replace(/\\([\s\S])/g, (_escape, char: string) => escapes[char] ?? char);
+    } else if (!trimmedChildren.includes('{')) {
+      code = dedent(children);
+    } else {
+      return source;
+    }
+
+    const title = typeof attributes.title === 'string' ? attributes.title : undefined;
+    const codeBlock = createFencedCodeBlock(code, language, title);
+
+    // Indent the code block like the CodeBlock, so it stays inside indented blocks (e.g., tabs)
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    const indent = content.slice(lineStart, offset);
+    return /^[ \t]*$/.test(indent)
+      ? codeBlock.split('\n').map((line, index) => index > 0 && line ? indent + line : line).join('\n')
+      : codeBlock;
+  });
+}
+
+/**
+ * An admonition parsed from `:::keyword[Title]` ... `:::` directives
+ */
+interface Admonition {
+  keyword: string;
+  title: string;
+  fenceLength: number;
+  indent: string;
+  lines: string[];
+}
+
+/**
+ * Format an admonition keyword for display (e.g., 'warning' -> 'Warning', 'release-note' -> 'Release Note')
+ * @param keyword - Admonition keyword
+ * @returns Display label
+ */
+function formatAdmonitionKeyword(keyword: string): string {
+  return keyword
+    .split(/[-_]/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Render an admonition as a blockquote callout
+ * @param admonition - Parsed admonition with its body already rendered
+ * @param format - 'blockquote' for a bold "Warning: Title" prefix, 'github' for GitHub alerts
+ * @returns Rendered lines
+ */
+function renderAdmonition(admonition: Admonition, format: 'blockquote' | 'github'): string[] {
+  const { keyword, title, indent } = admonition;
+  const headerLines: string[] = [];
+
+  if (format === 'github') {
+    headerLines.push(`[!${GITHUB_ALERT_TYPES[keyword] ?? 'NOTE'}]`);
+    if (title) {
+      headerLines.push(`**${title}**`);
+    }
+  } else {
+    const label = formatAdmonitionKeyword(keyword);
+    headerLines.push(title ? `**${label}: ${title}**` : `**${label}**`);
+  }
+
+  // GitHub alerts start their body right below the alert type
+  const body = dedent(admonition.lines.join('\n'));
+  const separator = format === 'github' && !title ? [] : [''];
+  const quotedLines = [...headerLines, ...(body ? [...separator, ...body.split('\n')] : [])];
+
+  return quotedLines.map(line => line.trim() ? `${indent}> ${line}` : `${indent}>`);
+}
+
+/**
+ * Convert Docusaurus admonitions (`:::warning Title` ... `:::`) into blockquote callouts
+ * Nested admonitions are supported: an admonition is closed by a fence with at least as
+ * many colons as its opening fence, so outer admonitions use longer fences (`::::`).
+ * Directives with an unknown keyword are left untouched.
+ * @param content - Markdown content
+ * @param format - 'blockquote' for a bold "Warning: Title" prefix, 'github' for GitHub alerts (`> [!WARNING]`)
+ * @param customKeywords - Additional admonition keywords configured in the site
+ * @returns Content with admonitions converted
+ */
+export function convertAdmonitions(
+  content: string,
+  format: 'blockquote' | 'github',
+  customKeywords: string[] = []
+): string {
+  const keywords = new Set([...DEFAULT_ADMONITION_KEYWORDS, ...customKeywords].map(keyword => keyword.toLowerCase()));
+  const openingFence = /^([ \t]*)(:{3,})([A-Za-z][\w-]*)(?:\[(.*)\])?(?:\{[^}]*\})?(?:[ \t]+(.*?))?[ \t]*$/;
+  const closingFence = /^[ \t]*(:{3,})[ \t]*$/;
+
+  const outputLines: string[] = [];
+  const stack: Admonition[] = [];
+  // Lines right after a converted admonition would continue its blockquote (e.g., `> > B` once nested),
+  // so a blank line is added before them
+  let needsSeparator = false;
+  const emit = (line: string) => {
+    const target = stack.length > 0 ? stack[stack.length - 1].lines : outputLines;
+    if (needsSeparator && line.trim()) {
+      target.push('');
+    }
+    needsSeparator = false;
+    target.push(line);
+  };
+
+  for (const line of content.split('\n')) {
+    const opening = line.match(openingFence);
+    if (opening && keywords.has(opening[3].toLowerCase())) {
+      const [, indent, fence, keyword, bracketTitle, legacyTitle] = opening;
+      if (needsSeparator) {
+        emit('');
+      }
+      stack.push({
+        keyword: keyword.toLowerCase(),
+        title: (bracketTitle ?? legacyTitle ?? '').trim(),
+        fenceLength: fence.length,
+        indent,
+        lines: [],
+      });
+      continue;
+    }
+
+    const closing = line.match(closingFence);
+    if (closing && stack.length > 0 && closing[1].length >= stack[stack.length - 1].fenceLength) {
+      const admonition = stack.pop()!;
+      renderAdmonition(admonition, format).forEach(emit);
+      needsSeparator = true;
+      continue;
+    }
+
+    emit(line);
+  }
+
+  // Admonitions left open run to the end of the document, as in Docusaurus
+  while (stack.length > 0) {
+    renderAdmonition(stack.pop()!, format).forEach(emit);
+  }
+
+  return outputLines.join('\n');
+}
+
+/**
+ * Rewrite the Docusaurus theme components of an MDX document into Markdown
+ * Fenced code blocks are left untouched.
+ * @param content - Markdown content
+ * @param options - Transformation options
+ * @returns Transformed content
+ */
+export function transformMdxComponents(content: string, options: MdxTransformOptions = {}): string {
+  const { tabsOutput = 'all', admonitionsOutput = 'keep', admonitionKeywords = [] } = options;
+
+  return transformOutsideCodeBlocks(content, text => {
+    let transformed = convertTabs(convertCodeBlocks(text), tabsOutput);
+    if (admonitionsOutput !== 'keep') {
+      transformed = convertAdmonitions(transformed, admonitionsOutput, admonitionKeywords);
+    }
+    return transformed;
+  });
+}
@@ -0,0 +1,235 @@
+/**
+ * Option validation for the docusaurus-plugin-llms plugin
+ */
+
+import * as path from 'path';
+import { Joi, RemarkPluginsSchema } from '@docusaurus/utils-validation';
+import type { OptionValidationContext } from '@docusaurus/types';
+import { PluginOptions, CustomLLMFile } from './types';
+
+/**
+ * Schema for the name of a generated file
+ * Files are written at the root of the output directory, so directories and parent references are rejected.
+ */
+const filenameSchema = Joi.string()
+  .trim()
+  .min(1)
+  .pattern(/^(?!\.\.?$)[^/\\:]+$/)
+  .messages({ 'string.pattern.base': '{#label} must be a file name without directories ("{#value}")' });
+
+/**
+ * Schema for a single custom LLM file configuration
+ */
+const customLLMFileSchema = Joi.object<CustomLLMFile>({
+  filename: filenameSchema.required(),
+  includePatterns: Joi.array().items(Joi.string()).required(),
+  fullContent: Joi.boolean().required(),
+  title: Joi.string(),
+  description: Joi.string().allow(''),
+  ignorePatterns: Joi.array().items(Joi.string()),
+  orderPatterns: Joi.array().items(Joi.string()),
+  includeUnmatchedLast: Joi.boolean(),
+  version: Joi.string(),
+  rootContent: Joi.string().allow(''),
+  maxTokens: Joi.number().integer().min(1),
+  maxTokensStrategy: Joi.string().valid('fail', 'truncate'),
+});
+
+/**
+ * Get the files written to the root of the output directory with the given options
+ * @param options - Plugin options
+ * @returns Filename and option name of each file, standard files first
+ */
+export function getOutputFilenames(options: PluginOptions): { filename: string; option: string }[] {
+  const outputFilenames = [
+    { filename: options.llmsTxtFilename ?? 'llms.txt', option: 'llmsTxtFilename' },
+    { filename: options.llmsFullTxtFilename ?? 'llms-full.txt', option: 'llmsFullTxtFilename' },
+  ];
+  if (options.generateLLMsJson) {
+    outputFilenames.push({ filename: options.llmsJsonFilename ?? 'llms.json', option: 'llmsJsonFilename' });
+  }
+  if (options.generateLLMsCtx) {
+    outputFilenames.push({ filename: options.llmsCtxFilename ?? 'llms-ctx.txt', option: 'llmsCtxFilename' });
+  }
+  if (options.generateLLMsCtxFull) {
+    outputFilenames.push({ filename: options.llmsCtxFullFilename ?? 'llms-ctx-full.txt', option: 'llmsCtxFullFilename' });
+  }
+  if (options.llmsChunks) {
+    const chunksFilename = (typeof options.llmsChunks === 'object' && options.llmsChunks.filename) || 'llms-chunks.jsonl';
+    outputFilenames.push({ filename: chunksFilename, option: 'llmsChunks.filename' });
+  }
+  (options.customLLMFiles ?? []).forEach(({ filename }, i) => {
+    outputFilenames.push({ filename, option: `customLLMFiles[${i}].filename` });
+  });
+  return outputFilenames;
+}
+
+/**
+ * Check whether a filename is one of the numbered parts llms-full.txt is split into
+ * @param filename - Filename to check
+ * @param llmsFullTxtFilename - Name of llms-full.txt
+ * @returns True for names like `llms-full-2.txt`
+ */
+export function isSplitPartFilename(filename: string, llmsFullTxtFilename: string): boolean {
+  const extension = path.extname(llmsFullTxtFilename);
+  const baseName = llmsFullTxtFilename.slice(0, llmsFullTxtFilename.length - extension.length);
+  return filename.startsWith(`${baseName}-`)
+    && filename.endsWith(extension)
+    && /^\d+$/.test(filename.slice(baseName.length + 1, filename.length - extension.length));
+}
+
+/**
+ * Check that every generated file has its own filename
+ * Files must not share a filename with each other or with the parts llms-full.txt is split into,
+ * otherwise one output silently overwrites the other.
+ * Files of each docs plugin instance are checked during generation, once the instance ids are known.
+ */
+function validateOutputFilenames(
+  value: PluginOptions,
+  helpers: Joi.CustomHelpers
+): PluginOptions | Joi.ErrorReport {
+  const [llmsTxt, llmsFullTxt, ...otherFiles] = getOutputFilenames(value);
+
+  if (llmsTxt.filename === llmsFullTxt.filename) {
+    return helpers.message({
+      custom: `"llmsFullTxtFilename" must differ from "llmsTxtFilename" (both are "${llmsTxt.filename}")`,
+    });
+  }
+
+  if (value.llmsFullTxtSplit && isSplitPartFilename(llmsTxt.filename, llmsFullTxt.filename)) {
+    return helpers.message({
+      custom: `"llmsTxtFilename" ("${llmsTxt.filename}") collides with a part of "llmsFullTxtFilename" split by "llmsFullTxtSplit"`,
+    });
+  }
+
+  const usedFilenames = new Map<string, string>([
+    [llmsTxt.filename, llmsTxt.option],
+    [llmsFullTxt.filename, llmsFullTxt.option],
+  ]);
+
+  for (const { filename, option } of otherFiles) {
+    const existing = usedFilenames.get(filename);
+    if (existing) {
+      return helpers.message({
+        custom: `"${option}" ("${filename}") collides with "${existing}"`,
+      });
+    }
+    if (value.llmsFullTxtSplit && isSplitPartFilename(filename, llmsFullTxt.filename)) {
+      return helpers.message({
+        custom: `"${option}" ("${filename}") collides with a part of "llmsFullTxtFilename" split by "llmsFullTxtSplit"`,
+      });
+    }
+    usedFilenames.set(filename, option);
+  }
+
+  return value;
+}
+
+/**
+ * Check that the copy page button and assistant links have markdown files to point to
+ */
+function validatePageMarkdownFeatures(
+  value: PluginOptions,
+  helpers: Joi.CustomHelpers
+): PluginOptions | Joi.ErrorReport {
+  if (value.generateMarkdownFiles) {
+    return value;
+  }
+  for (const option of ['copyPageButton', 'assistantLinks'] as const) {
+    if (value[option]) {
+      return helpers.message({
+        custom: `"${option}" requires "generateMarkdownFiles" to be enabled`,
+      });
+    }
+  }
+  return value;
+}
+
+/**
+ * Schema for all plugin options
+ * Unknown keys are rejected so that misspelled options fail the config load
+ * instead of being silently ignored.
+ */
+export const pluginOptionsSchema = Joi.object<PluginOptions>({
+  generateLLMsTxt: Joi.boolean(),
+  generateLLMsFullTxt: Joi.boolean(),
+  generateLLMsJson: Joi.boolean(),
+  generateLLMsCtx: Joi.boolean(),
+  generateLLMsCtxFull: Joi.boolean(),
+  docsDir: Joi.string().min(1),
+  ignoreFiles: Joi.array().items(Joi.string()),
+  title: Joi.string(),
+  description: Joi.string().allow(''),
+  llmsTxtFilename: filenameSchema,
+  llmsFullTxtFilename: filenameSchema,
+  llmsJsonFilename: filenameSchema,
+  llmsCtxFilename: filenameSchema,
+  llmsCtxFullFilename: filenameSchema,
+  includeBlog: Joi.boolean(),
+  pathTransformation: Joi.object({
+    ignorePaths: Joi.array().items(Joi.string()),
+    addPaths: Joi.array().items(Joi.string()),
+  }),
+  includeOrder: Joi.array().items(Joi.string()),
+  includeUnmatchedLast: Joi.boolean(),
+  customLLMFiles: Joi.array().items(customLLMFileSchema),
+  version: Joi.string(),
+  excludeImports: Joi.boolean(),
+  removeDuplicateHeadings: Joi.boolean(),
+  generateMarkdownFiles: Joi.boolean(),
+  keepFrontMatter: Joi.array().items(Joi.string()),
+  markdownFilesLayout: Joi.string().valid('source', 'route'),
+  copyPageButton: Joi.boolean(),
+  assistantLinks: Joi.object({
+    prompt: Joi.string().trim().min(1),
+    targets: Joi.array().items(Joi.object({
+      label: Joi.string().trim().min(1).required(),
+      url: Joi.string().pattern(/\{prompt\}/, '{prompt} placeholder').required(),
+    })).min(1).required(),
+  }),
+  rootContent: Joi.string().allow(''),
+  fullRootContent: Joi.string().allow(''),
+  includeDescriptionInLinks: Joi.boolean(),
+  sidebar: Joi.string(),
+  docsInstancesOutput: Joi.string().valid('merged', 'sections', 'files'),
+  versionedFiles: Joi.string().valid('none', 'suffix', 'directory'),
+  generateForAllLocales: Joi.boolean(),
+  tabsOutput: Joi.string().valid('all', 'default'),
+  admonitionsOutput: Joi.string().valid('keep', 'blockquote', 'github'),
+  admonitionKeywords: Joi.array().items(Joi.string().pattern(/^[A-Za-z][\w-]*$/)),
+  cleaningMode: Joi.string().valid('regex', 'mdx'),
+  beforeDefaultRemarkPlugins: RemarkPluginsSchema,
+  remarkPlugins: RemarkPluginsSchema,
+  transformDoc: Joi.function(),
+  transformOutput: Joi.function(),
+  cache: Joi.boolean(),
+  concurrency: Joi.number().integer().min(1),
+  tokenizer: Joi.function(),
+  llmsFullTxtSplit: Joi.object({
+    maxSize: Joi.number().integer().min(1),
+    maxTokens: Joi.number().integer().min(1),
+  }).or('maxSize', 'maxTokens'),
+  llmsChunks: Joi.alternatives().try(
+    Joi.boolean(),
+    Joi.object({
+      filename: filenameSchema,
+      maxTokens: Joi.number().integer().min(1),
+      overlap: Joi.number().integer().min(0),
+    })
+  ),
+})
+  .unknown(false)
+  .custom(validateOutputFilenames)
+  .custom(validatePageMarkdownFeatures);
+
+/**
+ * Validate plugin options when Docusaurus loads the site config
+ * @param context - Docusaurus validation context
+ * @returns Validated plugin options
+ */
+export function validateOptions({
+  validate,
+  options,
+}: OptionValidationContext<PluginOptions | undefined, PluginOptions>): PluginOptions {
+  return validate(pluginOptionsSchema, options ?? {});
+}
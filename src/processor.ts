@@ -3,16 +3,22 @@
  */
 
 import * as path from 'path';
+import * as fs from 'fs/promises';
 import matter from 'gray-matter';
 import { minimatch } from 'minimatch';
-import { DocInfo, PluginContext } from './types';
+import { DocInfo, MarkdownFormat, MdxTransformOptions, PluginContext } from './types';
 import { 
   readFile, 
   extractTitle, 
   cleanMarkdownContent, 
   applyPathTransformations,
-  resolvePartialImports
+  resolvePartialImports,
+  resolveRawLoaderImports,
+  createConcurrencyLimit,
+  DEFAULT_CONCURRENCY
 } from './utils';
+import { transformMdxComponents } from './mdx';
+import { cleanMdxContent, runRemarkPlugins } from './mdx-ast';
 
 /**
  * File extension pattern for detecting URLs that should not end with /
@@ -25,7 +31,7 @@ const FILE_EXTENSION_PATTERN = /\.[a-zA-Z0-9]{1,10}$/;
  * @param url - URL object to normalize
  * @returns Normalized URL string
  */
-function normalizeUrlPath(url: URL): string {
+export function normalizeUrlPath(url: URL): string {
   const pathname = url.pathname;
   // Don't add / if pathname already ends with / or has a file extension
   if (!pathname.endsWith('/') && !FILE_EXTENSION_PATTERN.test(pathname)) {
@@ -34,6 +40,22 @@ function normalizeUrlPath(url: URL): string {
   return url.toString();
 }
 
+/**
+ * Whether Docusaurus parses a document as MDX
+ * The `format` front matter wins over the `markdown.format` site option, and `detect` parses only `.mdx` files as MDX.
+ * @param filePath - Path to the markdown file
+ * @param frontMatterFormat - `format` front matter of the document (optional)
+ * @param markdownFormat - `markdown.format` of the site config (default: 'mdx')
+ * @returns True for MDX, false for CommonMark
+ */
+function isMdxDocument(filePath: string, frontMatterFormat: unknown, markdownFormat: MarkdownFormat = 'mdx'): boolean {
+  const format = frontMatterFormat === 'md' || frontMatterFormat === 'mdx' ? frontMatterFormat : markdownFormat;
+  if (format === 'detect') {
+    return path.extname(filePath).toLowerCase() !== '.md';
+  }
+  return format === 'mdx';
+}
+
 /**
  * Process a markdown file and extract its metadata and content
  * @param filePath - Path to the markdown file
@@ -41,6 +63,12 @@ function normalizeUrlPath(url: URL): string {
  * @param siteUrl - Base URL of the site
  * @param pathPrefix - Path prefix for URLs (e.g., 'docs' or 'blog')
  * @param pathTransformation - Path transformation configuration
+ * @param excludeImports - Whether to remove import statements
+ * @param removeDuplicateHeadings - Whether to remove headings duplicating the title
+ * @param resolvedUrl - URL resolved by Docusaurus, used instead of the path-based URL
+ * @param sourceFilePath - File to read the content from, if it differs from filePath (e.g., a translation)
+ * @param mdxOptions - Options for rewriting MDX components into Markdown
+ * @param dependencies - Collects the paths of the files imported by the document (optional)
  * @returns Processed file data
  */
 export async function processMarkdownFile(
@@ -54,9 +82,12 @@ export async function processMarkdownFile(
   },
   excludeImports: boolean = false,
   removeDuplicateHeadings: boolean = false,
-  resolvedUrl?: string
+  resolvedUrl?: string,
+  sourceFilePath: string = filePath,
+  mdxOptions: MdxTransformOptions = {},
+  dependencies?: Set<string>
 ): Promise<DocInfo | null> {
-  const content = await readFile(filePath);
+  const content = await readFile(sourceFilePath);
   const { data, content: markdownContent } = matter(content);
   
   // Skip draft files
@@ -64,8 +95,13 @@ export async function processMarkdownFile(
     return null;
   }
   
-  // Resolve partial imports before processing
-  const resolvedContent = await resolvePartialImports(markdownContent, filePath);
+  // Resolve partial and raw-loader imports before processing
+  const resolvedContent = await resolveRawLoaderImports(
+    await resolvePartialImports(markdownContent, sourceFilePath, dependencies),
+    sourceFilePath,
+    baseDir,
+    dependencies
+  );
   
   const relativePath = path.relative(baseDir, filePath);
   // Convert to URL path format (replace backslashes with forward slashes on Windows)
@@ -193,7 +229,36 @@ export async function processMarkdownFile(
   }
   
   // Clean and process content (now with partials already resolved)
-  const cleanedContent = cleanMarkdownContent(resolvedContent, excludeImports, removeDuplicateHeadings);
+  const { beforeDefaultRemarkPlugins = [], remarkPlugins = [] } = mdxOptions;
+  
+  // User-supplied remark plugins see the document as authored (with JSX and ESM in MDX documents)
+  let transformedContent = resolvedContent;
+  if (beforeDefaultRemarkPlugins.length > 0) {
+    const isMdx = isMdxDocument(filePath, data.format, mdxOptions.markdownFormat);
+    try {
+      transformedContent = await runRemarkPlugins(resolvedContent, beforeDefaultRemarkPlugins, isMdx);
+    } catch (err: any) {
+      console.warn(`Could not parse ${filePath} as ${isMdx ? 'MDX' : 'Markdown'}, skipping beforeDefaultRemarkPlugins: ${err.message}`);
+    }
+  }
+  
+  transformedContent = transformMdxComponents(transformedContent, mdxOptions);
+  
+  // Remove ESM, expressions and JSX based on the MDX syntax tree, if requested
+  if (mdxOptions.cleaningMode === 'mdx') {
+    try {
+      transformedContent = await cleanMdxContent(transformedContent);
+    } catch (err: any) {
+      console.warn(`Could not parse ${filePath} as MDX, cleaning it with regular expressions: ${err.message}`);
+    }
+  }
+  
+  let cleanedContent = cleanMarkdownContent(transformedContent, excludeImports, removeDuplicateHeadings);
+  
+  // User-supplied remark plugins see the cleaned Markdown written into the generated files
+  if (remarkPlugins.length > 0) {
+    cleanedContent = (await runRemarkPlugins(cleanedContent, remarkPlugins, false)).trim();
+  }
   
   return {
     title,
@@ -205,6 +270,128 @@ export async function processMarkdownFile(
   };
 }
 
+/**
+ * Get when a document was last modified
+ * Prefers the last update time read by Docusaurus from the git history (with `showLastUpdateTime`),
+ * then the `last_update.date` front matter, then the modification time of the file.
+ * @param filePath - File the document is read from
+ * @param lastUpdatedAt - Last update time loaded by Docusaurus, in milliseconds (optional)
+ * @param frontMatter - Front matter of the document (optional)
+ * @returns ISO 8601 date, or undefined if it cannot be determined
+ */
+async function getLastModified(
+  filePath: string,
+  lastUpdatedAt?: number,
+  frontMatter?: Record<string, any>
+): Promise<string | undefined> {
+  if (lastUpdatedAt) {
+    return new Date(lastUpdatedAt).toISOString();
+  }
+  const frontMatterDate = frontMatter?.last_update?.date;
+  if (frontMatterDate) {
+    const date = new Date(frontMatterDate);
+    if (!isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+  try {
+    return (await fs.stat(filePath)).mtime.toISOString();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Process a documentation file for the generated outputs
+ * Combines the processed content with the metadata loaded by Docusaurus and applies `transformDoc`.
+ * @param context - Plugin context
+ * @param filePath - Absolute path of the file
+ * @returns The document, or null if it is skipped (e.g. a draft) or dropped by `transformDoc`
+ */
+async function processDocFile(context: PluginContext, filePath: string): Promise<DocInfo | null> {
+  const { siteDir, siteUrl } = context;
+  
+  // Determine if this is a blog or docs file
+  const isBlogFile = filePath.includes(path.join(siteDir, 'blog'));
+  // Use siteDir as baseDir to preserve full directory structure (docs/path/file.md instead of just path/file.md)
+  const baseDir = siteDir;
+  const pathPrefix = isBlogFile ? 'blog' : 'docs';
+  
+  // Use the permalink resolved by the Docusaurus content plugin, if available
+  const loadedDoc = context.loadedDocs?.get(filePath);
+  
+  const sourceFilePath = loadedDoc?.sourcePath ?? filePath;
+  const mdxOptions: MdxTransformOptions = {
+    tabsOutput: context.options.tabsOutput,
+    admonitionsOutput: context.options.admonitionsOutput,
+    admonitionKeywords: context.options.admonitionKeywords,
+    cleaningMode: context.options.cleaningMode,
+    beforeDefaultRemarkPlugins: context.options.beforeDefaultRemarkPlugins,
+    remarkPlugins: context.options.remarkPlugins,
+    markdownFormat: context.markdownFormat,
+  };
+  
+  // Reuse the document processed by a previous build if neither it nor its imports changed
+  const cacheKey = await context.cache?.getKey(sourceFilePath, [
+    filePath,
+    baseDir,
+    siteUrl,
+    pathPrefix,
+    context.options.pathTransformation,
+    context.options.excludeImports || false,
+    context.options.removeDuplicateHeadings || false,
+    loadedDoc?.permalink,
+    mdxOptions,
+  ]);
+  const cached = cacheKey ? await context.cache?.get(cacheKey) : undefined;
+  
+  let docInfo: DocInfo | null;
+  if (cached) {
+    docInfo = cached.doc;
+  } else {
+    const dependencies = new Set<string>();
+    docInfo = await processMarkdownFile(
+      filePath, 
+      baseDir, 
+      siteUrl,
+      pathPrefix,
+      context.options.pathTransformation,
+      context.options.excludeImports || false,
+      context.options.removeDuplicateHeadings || false,
+      loadedDoc?.permalink,
+      loadedDoc?.sourcePath,
+      mdxOptions,
+      dependencies
+    );
+    if (cacheKey) {
+      await context.cache?.set(cacheKey, docInfo, dependencies);
+    }
+  }
+  if (docInfo === null) {
+    return null;
+  }
+  
+  // The document may come from the cache, so the metadata goes into a new object
+  let doc: DocInfo | null = {
+    ...docInfo,
+    ...(loadedDoc && {
+      id: loadedDoc.id,
+      sidebarPosition: loadedDoc.sidebarPosition,
+      pluginId: loadedDoc.pluginId,
+    }),
+  };
+  // Only llms.json lists the modification dates, which may take a file system lookup per document
+  if (context.options.generateLLMsJson) {
+    doc.lastModified = await getLastModified(sourceFilePath, loadedDoc?.lastUpdatedAt, docInfo.frontMatter);
+  }
+  
+  // Let the site rewrite or drop the document
+  if (context.options.transformDoc) {
+    doc = await context.options.transformDoc(doc, { filePath, siteDir, siteUrl });
+  }
+  return doc;
+}
+
 /**
  * Process files based on include patterns, ignore patterns, and ordering
  * @param context - Plugin context
@@ -223,7 +410,7 @@ export async function processFilesWithPatterns(
   orderPatterns: string[] = [],
   includeUnmatched: boolean = false
 ): Promise<DocInfo[]> {
-  const { siteDir, siteUrl, docsDir } = context;
+  const { siteDir } = context;
   
   // Filter files based on include patterns
   let filteredFiles = allFiles;
@@ -275,101 +462,20 @@ export async function processFilesWithPatterns(
     filesToProcess = filteredFiles;
   }
   
-  // Process each file to generate DocInfo
-  const processedDocs: DocInfo[] = [];
-  
-  for (const filePath of filesToProcess) {
-    try {
-      // Determine if this is a blog or docs file
-      const isBlogFile = filePath.includes(path.join(siteDir, 'blog'));
-      // Use siteDir as baseDir to preserve full directory structure (docs/path/file.md instead of just path/file.md)
-      const baseDir = siteDir;
-      const pathPrefix = isBlogFile ? 'blog' : 'docs';
-      
-      // Try to find the resolved URL for this file from the route map
-      let resolvedUrl: string | undefined;
-      if (context.routeMap) {
-        // Convert file path to a potential route path
-        const relativePath = path.relative(baseDir, filePath)
-          .replace(/\\/g, '/')
-          .replace(/\.mdx?$/, '')
-          .replace(/\/index$/, '');
-        
-        // Function to remove numbered prefixes from path segments
-        const removeNumberedPrefixes = (path: string): string => {
-          return path.split('/').map(segment => {
-            // Remove numbered prefixes like "01-", "1-", "001-" from each segment
-            return segment.replace(/^\d+-/, '');
-          }).join('/');
-        };
-        
-        // Check various possible route patterns
-        const cleanPath = removeNumberedPrefixes(relativePath);
-        const possiblePaths = [
-          `/${pathPrefix}/${cleanPath}`,
-          `/${cleanPath}`,
-          `/${pathPrefix}/${relativePath}`, // Try with original path
-          `/${relativePath}`, // Try without prefix
-        ];
-        
-        // Also handle nested folder structures with numbered prefixes
-        const segments = relativePath.split('/');
-        if (segments.length > 1) {
-          // Try removing numbered prefixes from different levels
-          for (let i = 0; i < segments.length; i++) {
-            const modifiedSegments = [...segments];
-            modifiedSegments[i] = modifiedSegments[i].replace(/^\d+-/, '');
-            const modifiedPath = modifiedSegments.join('/');
-            possiblePaths.push(`/${pathPrefix}/${modifiedPath}`);
-            possiblePaths.push(`/${modifiedPath}`);
-          }
-        }
-        
-        // Try to find a match in the route map
-        for (const possiblePath of possiblePaths) {
-          if (context.routeMap.has(possiblePath)) {
-            resolvedUrl = context.routeMap.get(possiblePath);
-            break;
-          }
-        }
-        
-        // If still not found, try to find the best match using the routesPaths array
-        if (!resolvedUrl && context.routesPaths) {
-          const normalizedCleanPath = cleanPath.toLowerCase();
-          const matchingRoute = context.routesPaths.find(routePath => {
-            const normalizedRoute = routePath.toLowerCase();
-            return normalizedRoute.endsWith(`/${normalizedCleanPath}`) || 
-                   normalizedRoute === `/${pathPrefix}/${normalizedCleanPath}` ||
-                   normalizedRoute === `/${normalizedCleanPath}`;
-          });
-          if (matchingRoute) {
-            resolvedUrl = matchingRoute;
-          }
-        }
-        
-        // Log when we successfully resolve a URL using Docusaurus routes
-        if (resolvedUrl && resolvedUrl !== `/${pathPrefix}/${relativePath}`) {
-          console.log(`Resolved URL for ${path.basename(filePath)}: ${resolvedUrl} (was: /${pathPrefix}/${relativePath})`);
-        }
-      }
-      
-      const docInfo = await processMarkdownFile(
-        filePath, 
-        baseDir, 
-        siteUrl,
-        pathPrefix,
-        context.options.pathTransformation,
-        context.options.excludeImports || false,
-        context.options.removeDuplicateHeadings || false,
-        resolvedUrl
-      );
-      if (docInfo !== null) {
-        processedDocs.push(docInfo);
-      }
-    } catch (err: any) {
-      console.warn(`Error processing ${filePath}: ${err.message}`);
+  // Process the files in parallel, reusing the documents already processed for other outputs
+  // Results are collected in file order, so the output does not depend on which file finishes first
+  const limit = createConcurrencyLimit(context.options.concurrency ?? DEFAULT_CONCURRENCY);
+  const processedDocs = await Promise.all(filesToProcess.map(filePath => {
+    let processing = context.processedDocs?.get(filePath);
+    if (!processing) {
+      processing = limit(() => processDocFile(context, filePath)).catch((err: any) => {
+        console.warn(`Error processing ${filePath}: ${err.message}`);
+        return null;
+      });
+      context.processedDocs?.set(filePath, processing);
     }
-  }
+    return processing;
+  }));
   
-  return processedDocs;
+  return processedDocs.filter((doc): doc is DocInfo => doc !== null);
 } 
\ No newline at end of file
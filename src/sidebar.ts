@@ -0,0 +1,142 @@
+/**
+ * Sidebar-driven organization for the docusaurus-plugin-llms plugin
+ *
+ * Resolves a sidebar loaded by the Docusaurus docs plugin against the processed
+ * documents, so llms.txt sections and llms-full.txt order follow the sidebar.
+ */
+
+import { DocInfo, SidebarItem } from './types';
+import { normalizeUrlPath } from './processor';
+
+/**
+ * A link in the resolved sidebar (a doc, a generated index page or an external link)
+ */
+export interface SidebarLink {
+  title: string;
+  url: string;
+  description: string;
+}
+
+/**
+ * An entry of a sidebar resolved against the processed documents
+ */
+export type SidebarEntry =
+  | { type: 'link'; link: SidebarLink; doc?: DocInfo }
+  | { type: 'category'; label: string; entries: SidebarEntry[] };
+
+/**
+ * Resolve a URL from a sidebar against the site URL
+ * @param href - Permalink or link target from the sidebar
+ * @param siteUrl - Base site URL
+ * @returns Absolute URL
+ */
+function resolveSidebarUrl(href: string, siteUrl: string): string {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+    return href;
+  }
+  return normalizeUrlPath(new URL(href, siteUrl));
+}
+
+/**
+ * Resolve sidebar items against the processed documents
+ * Doc items whose document was not processed (ignored, draft, ...) and empty categories are dropped.
+ * @param items - Sidebar items loaded by the docs plugin
+ * @param docs - Processed document information
+ * @param siteUrl - Base site URL
+ * @returns Resolved sidebar entries
+ */
+export function resolveSidebar(items: SidebarItem[], docs: DocInfo[], siteUrl: string): SidebarEntry[] {
+  const docsById = new Map<string, DocInfo>();
+  for (const doc of docs) {
+    if (doc.id) {
+      docsById.set(doc.id, doc);
+    }
+  }
+
+  const resolveItems = (sidebarItems: SidebarItem[]): SidebarEntry[] => {
+    const entries: SidebarEntry[] = [];
+
+    for (const item of sidebarItems) {
+      if (item.type === 'doc' || item.type === 'ref') {
+        const doc = docsById.get(item.id);
+        if (doc) {
+          entries.push({ type: 'link', link: doc, doc });
+        }
+      } else if (item.type === 'link') {
+        entries.push({
+          type: 'link',
+          link: {
+            title: item.label,
+            url: resolveSidebarUrl(item.href, siteUrl),
+            description: item.description || '',
+          },
+        });
+      } else if (item.type === 'category') {
+        const categoryEntries: SidebarEntry[] = [];
+
+        // The category's own page comes first in its section
+        if (item.link?.type === 'doc') {
+          const doc = docsById.get(item.link.id);
+          if (doc) {
+            categoryEntries.push({ type: 'link', link: doc, doc });
+          }
+        } else if (item.link?.type === 'generated-index') {
+          categoryEntries.push({
+            type: 'link',
+            link: {
+              title: item.link.title || item.label,
+              url: resolveSidebarUrl(item.link.permalink, siteUrl),
+              description: item.link.description || '',
+            },
+          });
+        }
+
+        categoryEntries.push(...resolveItems(item.items));
+
+        if (categoryEntries.length > 0) {
+          entries.push({ type: 'category', label: item.label, entries: categoryEntries });
+        }
+      }
+      // HTML items carry no documentation content and are skipped
+    }
+
+    return entries;
+  };
+
+  return resolveItems(items);
+}
+
+/**
+ * Collect the documents of a resolved sidebar in traversal order
+ * @param entries - Resolved sidebar entries
+ * @returns Documents in sidebar order (each document once)
+ */
+export function getSidebarDocs(entries: SidebarEntry[]): DocInfo[] {
+  const sidebarDocs = new Set<DocInfo>();
+
+  const visit = (sidebarEntries: SidebarEntry[]) => {
+    for (const entry of sidebarEntries) {
+      if (entry.type === 'category') {
+        visit(entry.entries);
+      } else if (entry.doc) {
+        sidebarDocs.add(entry.doc);
+      }
+    }
+  };
+  visit(entries);
+
+  return Array.from(sidebarDocs);
+}
+
+/**
+ * Order documents by sidebar traversal order
+ * Documents that are not in the sidebar keep their relative order and come last.
+ * @param docs - Processed document information
+ * @param entries - Resolved sidebar entries
+ * @returns Reordered documents
+ */
+export function sortDocsBySidebar(docs: DocInfo[], entries: SidebarEntry[]): DocInfo[] {
+  const sidebarDocs = getSidebarDocs(entries);
+  const inSidebar = new Set(sidebarDocs);
+  return [...sidebarDocs, ...docs.filter(doc => !inSidebar.has(doc))];
+}
@@ -0,0 +1,27 @@
+/**
+ * Types of the theme components of the docusaurus-plugin-llms plugin, for sites swizzling them
+ */
+
+/// <reference types="@docusaurus/module-type-aliases" />
+
+declare module '@theme/CopyPageMarkdown' {
+  import type { ReactNode } from 'react';
+
+  export interface Props {
+    /** Class added to the container of the buttons */
+    readonly className?: string;
+  }
+
+  export default function CopyPageMarkdown(props: Props): ReactNode;
+}
+
+declare module '@theme/AskAssistantLinks' {
+  import type { ReactNode } from 'react';
+
+  export interface Props {
+    /** Class added to the container of the links */
+    readonly className?: string;
+  }
+
+  export default function AskAssistantLinks(props: Props): ReactNode;
+}
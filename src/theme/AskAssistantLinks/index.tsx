@@ -0,0 +1,53 @@
+/**
+ * Links opening the markdown file of the current page in chat assistants, with the configured prompt
+ *
+ * Renders nothing on pages without a markdown file, or when `assistantLinks` is not configured.
+ */
+
+import React, { type ReactNode } from 'react';
+import { useLocation } from '@docusaurus/router';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import type { Props } from '@theme/AskAssistantLinks';
+import { usePageActionsData, usePageMarkdownUrl } from 'docusaurus-plugin-llms/lib/client';
+
+/**
+ * Replace the `{name}` placeholders of a template
+ * Unknown placeholders are kept as is.
+ * @param template - Template (e.g., 'Read {mdUrl} and answer questions about it')
+ * @param values - Value of each placeholder
+ * @returns The template with the placeholders replaced
+ */
+function fillTemplate(template: string, values: Record<string, string>): string {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name: string) => values[name] ?? placeholder);
+}
+
+export default function AskAssistantLinks({ className }: Props): ReactNode {
+  const { siteConfig } = useDocusaurusContext();
+  const { pathname } = useLocation();
+  const assistantLinks = usePageActionsData()?.assistantLinks;
+  const markdownUrl = usePageMarkdownUrl();
+
+  if (!markdownUrl || !assistantLinks) {
+    return null;
+  }
+
+  const prompt = fillTemplate(assistantLinks.prompt, {
+    mdUrl: `${siteConfig.url}${markdownUrl}`,
+    pageUrl: `${siteConfig.url}${pathname}`,
+  });
+
+  return (
+    <div className={['button-group', className].filter(Boolean).join(' ')}>
+      {assistantLinks.targets.map(target => (
+        <a
+          key={target.label}
+          className="button button--sm button--secondary"
+          href={fillTemplate(target.url, { prompt: encodeURIComponent(prompt) })}
+          target="_blank"
+          rel="noopener noreferrer">
+          {target.label}
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+/**
+ * Buttons copying or opening the markdown file generated for the current page
+ *
+ * Renders nothing on pages without a markdown file (e.g. pages matched by `ignoreFiles`).
+ */
+
+import React, { useEffect, useState, type ReactNode } from 'react';
+import { translate } from '@docusaurus/Translate';
+import type { Props } from '@theme/CopyPageMarkdown';
+import { usePageMarkdownUrl } from 'docusaurus-plugin-llms/lib/client';
+
+type CopyStatus = 'idle' | 'copied' | 'failed';
+
+/** How long the copy result is shown, in milliseconds */
+const STATUS_DURATION = 2000;
+
+/**
+ * Copy the content of a file to the clipboard
+ * The content is fetched inside the clipboard write where possible, as Safari only
+ * allows writing to the clipboard synchronously from the click handler.
+ * @param url - URL of the file
+ */
+async function copyFileToClipboard(url: string): Promise<void> {
+  const fetchText = async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+    return response.text();
+  };
+
+  if (typeof ClipboardItem !== 'undefined' && navigator.clipboard.write) {
+    const blob = fetchText().then(text => new Blob([text], { type: 'text/plain' }));
+    await navigator.clipboard.write([new ClipboardItem({ 'text/plain': blob })]);
+  } else {
+    await navigator.clipboard.writeText(await fetchText());
+  }
+}
+
+export default function CopyPageMarkdown({ className }: Props): ReactNode {
+  const markdownUrl = usePageMarkdownUrl();
+  const [status, setStatus] = useState<CopyStatus>('idle');
+
+  // Go back to the initial label after showing the copy result
+  useEffect(() => {
+    if (status === 'idle') {
+      return undefined;
+    }
+    const timeout = setTimeout(() => setStatus('idle'), STATUS_DURATION);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  if (!markdownUrl) {
+    return null;
+  }
+
+  const copyLabels: Record<CopyStatus, string> = {
+    idle: translate({
+      id: 'theme.llms.copyPage.copy',
+      message: 'Copy page as Markdown',
+      description: 'The label of the button copying the markdown of the page',
+    }),
+    copied: translate({
+      id: 'theme.llms.copyPage.copied',
+      message: 'Copied',
+      description: 'The label of the copy button once the markdown of the page is copied',
+    }),
+    failed: translate({
+      id: 'theme.llms.copyPage.failed',
+      message: 'Copy failed',
+      description: 'The label of the copy button when the markdown of the page could not be copied',
+    }),
+  };
+
+  return (
+    <div className={['button-group', className].filter(Boolean).join(' ')}>
+      <button
+        type="button"
+        className="button button--sm button--secondary"
+        aria-live="polite"
+        onClick={() => {
+          copyFileToClipboard(markdownUrl).then(
+            () => setStatus('copied'),
+            () => setStatus('failed')
+          );
+        }}>
+        {copyLabels[status]}
+      </button>
+      {/* A plain link, as the markdown file is not a route of the site */}
+      <a
+        className="button button--sm button--secondary"
+        href={markdownUrl}
+        target="_blank"
+        rel="noopener noreferrer">
+        {translate({
+          id: 'theme.llms.copyPage.open',
+          message: 'Open Markdown',
+          description: 'The label of the link opening the markdown of the page',
+        })}
+      </a>
+    </div>
+  );
+}
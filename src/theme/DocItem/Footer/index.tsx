@@ -0,0 +1,30 @@
+/**
+ * Doc page footer of the theme, followed by the enabled page actions
+ */
+
+import React, { type ReactNode } from 'react';
+import Footer from '@theme-init/DocItem/Footer';
+import CopyPageMarkdown from '@theme/CopyPageMarkdown';
+import AskAssistantLinks from '@theme/AskAssistantLinks';
+import { usePageActionsData, usePageMarkdownUrl } from 'docusaurus-plugin-llms/lib/client';
+
+export default function FooterWrapper(props: Record<string, unknown>): ReactNode {
+  const data = usePageActionsData();
+  const markdownUrl = usePageMarkdownUrl();
+
+  // Without global data (e.g. on a Docusaurus version not calling allContentLoaded), keep the original footer
+  if (!data || !markdownUrl) {
+    return <Footer {...props} />;
+  }
+
+  const { copyPageButton, assistantLinks } = data;
+  return (
+    <>
+      <Footer {...props} />
+      <div className="margin-top--md">
+        {copyPageButton && <CopyPageMarkdown className="margin-right--sm margin-bottom--sm" />}
+        {assistantLinks && <AskAssistantLinks className="margin-bottom--sm" />}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * Token counting for the docusaurus-plugin-llms plugin
+ *
+ * Counts are approximate unless a tokenizer matching the target model is configured.
+ */
+
+import * as path from 'path';
+import { DocInfo, LLMFileStats, Tokenizer } from './types';
+
+/** Average number of characters per token in English prose and code */
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Error thrown when a file exceeds its `maxTokens` budget
+ * Unlike other generation errors, it fails the build.
+ */
+export class TokenLimitError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TokenLimitError';
+  }
+}
+
+/**
+ * Estimate the number of tokens in a text from its length
+ * @param text - Text to measure
+ * @returns Approximate token count
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Count the tokens in a text
+ * @param text - Text to measure
+ * @param tokenizer - Tokenizer to use instead of the length-based estimate (optional)
+ * @returns Token count
+ */
+export function countTokens(text: string, tokenizer?: Tokenizer): number {
+  return tokenizer ? tokenizer(text) : estimateTokens(text);
+}
+
+/**
+ * Count the tokens a document adds to a generated file
+ * @param doc - Document
+ * @param fullContent - Whether the file contains the content of the documents or only links to them
+ * @param tokenizer - Tokenizer to use (optional)
+ * @returns Token count
+ */
+export function countDocTokens(doc: DocInfo, fullContent: boolean, tokenizer?: Tokenizer): number {
+  return countTokens(fullContent ? doc.content : `- [${doc.title}](${doc.url}): ${doc.description}`, tokenizer);
+}
+
+/**
+ * Format the token counts of the generated files as a table
+ * @param stats - Statistics of the generated files
+ * @param outDir - Directory the file paths are shown relative to
+ * @returns Table listing each file with its document count, token count and largest document
+ */
+export function formatTokenSummary(stats: LLMFileStats[], outDir: string): string {
+  const rows = stats.map(fileStats => {
+    const largestDoc = fileStats.docs.reduce<LLMFileStats['docs'][number] | undefined>(
+      (largest, doc) => (!largest || doc.tokens > largest.tokens ? doc : largest),
+      undefined
+    );
+    const budget = fileStats.maxTokens !== undefined ? ` / ${fileStats.maxTokens.toLocaleString('en-US')}` : '';
+    const truncated = fileStats.truncatedDocs ? ` (${fileStats.truncatedDocs} docs left out)` : '';
+    return [
+      path.relative(outDir, fileStats.outputPath).split(path.sep).join('/'),
+      String(fileStats.docs.length),
+      `${fileStats.tokens.toLocaleString('en-US')}${budget}${truncated}`,
+      largestDoc ? `${largestDoc.title} (${largestDoc.tokens.toLocaleString('en-US')})` : '-',
+    ];
+  });
+
+  const header = ['File', 'Docs', 'Tokens', 'Largest document'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = (row: string[]) => `| ${row.map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`;
+
+  return [
+    formatRow(header),
+    `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`,
+    ...rows.map(formatRow),
+  ].join('\n');
+}
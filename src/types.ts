@@ -3,6 +3,13 @@
  */
 
 import type { LoadContext, RouteConfig } from '@docusaurus/types';
+import type { LoadedVersion } from '@docusaurus/plugin-content-docs';
+import type { DocCache } from './cache';
+
+/**
+ * Sidebar item as loaded by the Docusaurus docs plugin
+ */
+export type SidebarItem = LoadedVersion['sidebars'][string][number];
 
 /**
  * Interface for processed document information
@@ -14,6 +21,48 @@ export interface DocInfo {
   content: string;
   description: string;
   frontMatter?: Record<string, any>;
+  /** Document id assigned by the Docusaurus content plugin */
+  id?: string;
+  /** Sidebar position resolved by Docusaurus (front matter or number prefix) */
+  sidebarPosition?: number;
+  /** Id of the docs plugin instance that loaded the document */
+  pluginId?: string;
+  /** When the document was last modified (ISO 8601) */
+  lastModified?: string;
+  /** Path of the source document, when `path` points to its generated markdown file */
+  sourcePath?: string;
+}
+
+/**
+ * Metadata of a document loaded by a Docusaurus content plugin
+ */
+export interface LoadedDoc {
+  /** Absolute path to the Markdown source file (in the default-locale docs directory for translated docs) */
+  filePath: string;
+
+  /** Absolute path to the translated source file, when the document is read from the i18n directory */
+  sourcePath?: string;
+
+  /** Document id (or blog post id) */
+  id: string;
+
+  /** Final URL path of the page, including the base URL */
+  permalink: string;
+
+  /** Sidebar position resolved by Docusaurus (front matter or number prefix) */
+  sidebarPosition?: number;
+
+  /** Id of the docs plugin instance that loaded the document (undefined for blog posts) */
+  pluginId?: string;
+
+  /** When the document was last updated, in milliseconds (only set with `showLastUpdateTime`) */
+  lastUpdatedAt?: number;
+
+  /** Title resolved by Docusaurus (front matter title or first heading) */
+  title?: string;
+
+  /** Front matter parsed by Docusaurus */
+  frontMatter?: Record<string, any>;
 }
 
 /**
@@ -49,6 +98,12 @@ export interface CustomLLMFile {
   
   /** Custom content to include at the root level (after title/description) */
   rootContent?: string;
+
+  /** Maximum number of tokens in the file, as counted by the `tokenizer` option */
+  maxTokens?: number;
+
+  /** What happens when the file exceeds maxTokens: fail the build, or leave out the last documents (default: 'fail') */
+  maxTokensStrategy?: 'fail' | 'truncate';
 }
 
 /**
@@ -61,6 +116,9 @@ export interface PluginOptions {
   /** Whether to generate the llms-full.txt file (default: true) */
   generateLLMsFullTxt?: boolean;
   
+  /** Whether to generate the llms.json manifest with the metadata of each document (default: false) */
+  generateLLMsJson?: boolean;
+  
   /** Base directory for documentation files (default: 'docs') */
   docsDir?: string;
   
@@ -79,6 +137,9 @@ export interface PluginOptions {
   /** Custom file name for the full content file (default: 'llms-full.txt') */
   llmsFullTxtFilename?: string;
   
+  /** Custom file name for the JSON manifest (default: 'llms.json') */
+  llmsJsonFilename?: string;
+  
   /** Whether to include blog content (default: false) */
   includeBlog?: boolean;
   
@@ -111,9 +172,22 @@ export interface PluginOptions {
   /** Whether to generate individual markdown files and link to them from llms.txt instead of original docs (default: false) */
   generateMarkdownFiles?: boolean;
 
-  /** Array of frontmatter keys to preserve in generated individual markdown files (only used when generateMarkdownFiles is true) */
+  /** Array of frontmatter keys to preserve in generated individual markdown files and in the llms.json manifest */
   keepFrontMatter?: string[];
 
+  /**
+   * Where to write the individual markdown files (default: 'source')
+   * - 'source': at paths derived from the source file path, slug or id
+   * - 'route': at the page URL plus `.md` (and `index.html.md` in the page directory), as proposed by llmstxt.org
+   */
+  markdownFilesLayout?: 'source' | 'route';
+
+  /** Add a "Copy page as Markdown" button to the footer of every doc page, reading its individual markdown file (default: false, requires `generateMarkdownFiles`) */
+  copyPageButton?: boolean;
+
+  /** Add links opening the markdown file of every doc page in chat assistants, with a prompt (requires `generateMarkdownFiles`) */
+  assistantLinks?: AssistantLinksOptions;
+
   /** Custom content to include at the root level of llms.txt (after title/description, before TOC) */
   rootContent?: string;
   
@@ -122,8 +196,242 @@ export interface PluginOptions {
 
   /** Whether to include description in links in llms.txt (default: true) */
   includeDescriptionInLinks?: boolean;
+
+  /** Name of a sidebar to build the llms.txt sections and the llms-full.txt order from (e.g., 'tutorialSidebar') */
+  sidebar?: string;
+
+  /** How documents of multiple docs plugin instances are output: merged together, one section per instance, or additional files per instance (default: 'merged') */
+  docsInstancesOutput?: 'merged' | 'sections' | 'files';
+
+  /** Generate llms.txt/llms-full.txt for every docs version besides the one served by default: with a filename suffix (llms-2.0.txt), in the version's route directory (/docs/2.0/llms.txt), or not at all (default: 'none') */
+  versionedFiles?: 'none' | 'suffix' | 'directory';
+
+  /** Also generate the files in the builds of non-default locales, from their translated docs (default: false) */
+  generateForAllLocales?: boolean;
+
+  /** How Docusaurus `<Tabs>` blocks are converted: every tab as a labelled subsection, or only the default tab (default: 'all') */
+  tabsOutput?: 'all' | 'default';
+
+  /** How Docusaurus admonitions (`:::warning`) are output: unchanged, as blockquotes with a bold "Warning: Title" prefix, or as GitHub alerts (default: 'keep') */
+  admonitionsOutput?: 'keep' | 'blockquote' | 'github';
+
+  /** Custom admonition keywords configured in the site, converted in addition to the Docusaurus ones */
+  admonitionKeywords?: string[];
+
+  /** How document content is cleaned: with regular expressions, or by parsing it as MDX to remove ESM, expressions and JSX (default: 'regex') */
+  cleaningMode?: 'regex' | 'mdx';
+
+  /** Remark plugins run on each document (parsed as MDX) before the plugin's own transformations */
+  beforeDefaultRemarkPlugins?: RemarkPlugin[];
+
+  /** Remark plugins run on each document (parsed as Markdown) after the plugin's own transformations */
+  remarkPlugins?: RemarkPlugin[];
+
+  /** Transform each processed document before it is written to any file; return null to leave the document out */
+  transformDoc?: TransformDoc;
+
+  /** Transform the content of each llms.txt/llms-full.txt/custom file before it is written */
+  transformOutput?: TransformOutput;
+
+  /** Whether to cache processed documents in node_modules/.cache, so unchanged documents are not processed again (default: true) */
+  cache?: boolean;
+
+  /** Maximum number of files read or processed at the same time (default: 8) */
+  concurrency?: number;
+
+  /** Count the tokens in a text, e.g. with the tokenizer of the target model (default: about 4 characters per token) */
+  tokenizer?: Tokenizer;
+
+  /** Split llms-full.txt into numbered parts (llms-full-1.txt, ...) at document boundaries when it exceeds a threshold */
+  llmsFullTxtSplit?: {
+    /** Maximum size of the file in bytes */
+    maxSize?: number;
+    /** Maximum number of tokens in the file, as counted by the `tokenizer` option */
+    maxTokens?: number;
+  };
+
+  /** Whether to generate llms-ctx.txt, with the content of the documents linked from llms.txt except its "Optional" section (default: false) */
+  generateLLMsCtx?: boolean;
+
+  /** Whether to generate llms-ctx-full.txt, with the content of every document linked from llms.txt (default: false) */
+  generateLLMsCtxFull?: boolean;
+
+  /** Custom filename for the expanded context file (default: 'llms-ctx.txt') */
+  llmsCtxFilename?: string;
+
+  /** Custom filename for the full expanded context file (default: 'llms-ctx-full.txt') */
+  llmsCtxFullFilename?: string;
+
+  /** Export the documents split by heading into chunks, as JSON Lines for retrieval-augmented generation (default: false) */
+  llmsChunks?: boolean | LLMsChunksOptions;
+}
+
+/**
+ * A chat assistant the doc pages link to
+ */
+export interface AssistantLink {
+  /** Text of the link (e.g., 'Ask ChatGPT') */
+  label: string;
+
+  /** URL opening the assistant, where `{prompt}` is replaced with the URL-encoded prompt (e.g., 'https://chatgpt.com/?q={prompt}') */
+  url: string;
 }
 
+/**
+ * Options of the assistant links
+ */
+export interface AssistantLinksOptions {
+  /** Prompt template, where `{mdUrl}` is replaced with the markdown file URL and `{pageUrl}` with the page URL (default: 'Read {mdUrl} and answer questions about it') */
+  prompt?: string;
+
+  /** Assistants to link to, in order */
+  targets: AssistantLink[];
+}
+
+/**
+ * Options of the chunked export
+ */
+export interface LLMsChunksOptions {
+  /** Name of the output file (default: 'llms-chunks.jsonl') */
+  filename?: string;
+  /** Maximum number of tokens in a chunk, as counted by the `tokenizer` option (default: 500) */
+  maxTokens?: number;
+  /** Number of tokens repeated from the end of the previous chunk of the same section (default: 50) */
+  overlap?: number;
+}
+
+/**
+ * Count the tokens in a text
+ */
+export type Tokenizer = (text: string) => number;
+
+/**
+ * Token counts of a generated LLM file
+ */
+export interface LLMFileStats {
+  /** Absolute path of the file */
+  outputPath: string;
+  /** Tokens in the whole file */
+  tokens: number;
+  /** Tokens each document adds to the file, in file order */
+  docs: { title: string; url: string; tokens: number }[];
+  /** Token budget of the file, if any */
+  maxTokens?: number;
+  /** Number of documents left out to fit the budget */
+  truncatedDocs?: number;
+}
+
+/**
+ * Metadata of a document in the llms.json manifest
+ */
+export interface LLMsJsonDoc {
+  title: string;
+  url: string;
+  description: string;
+  /** Path of the document, relative to the site directory */
+  path: string;
+  /** Label of the llms.txt section the document is listed under */
+  category: string;
+  /** Label of the subsection within the section, or null at the section root */
+  subcategory: string | null;
+  /** Front matter items listed in the `keepFrontMatter` option */
+  frontMatter: Record<string, any>;
+  /** Tokens in the processed content, as counted by the `tokenizer` option */
+  tokens: number;
+  /** When the document was last modified (ISO 8601), or null if unknown */
+  lastModified: string | null;
+  /** SHA-256 hash of the processed content */
+  contentHash: string;
+}
+
+/**
+ * Content of the llms.json manifest
+ */
+export interface LLMsJsonManifest {
+  title: string;
+  description: string;
+  version?: string;
+  /** Documents in the same order as in llms-full.txt */
+  docs: LLMsJsonDoc[];
+}
+
+/**
+ * Chunk of a document in the chunked export, written as one line of JSON
+ */
+export interface DocChunk {
+  /** Title of the document */
+  title: string;
+  /** URL of the document, with the anchor of the section the chunk belongs to */
+  url: string;
+  /** Headings the chunk is nested under, starting with the document title */
+  breadcrumb: string[];
+  /** Markdown text of the chunk */
+  text: string;
+  /** Tokens in the text, as counted by the `tokenizer` option */
+  tokens: number;
+}
+
+/**
+ * Context passed to the `transformDoc` option
+ */
+export interface TransformDocContext {
+  /** Absolute path to the Markdown source file */
+  filePath: string;
+  /** Site directory */
+  siteDir: string;
+  /** Base URL of the site the document URLs are built from */
+  siteUrl: string;
+}
+
+/**
+ * Transform a processed document, or return null to leave it out of the generated files
+ */
+export type TransformDoc = (
+  doc: DocInfo,
+  context: TransformDocContext
+) => DocInfo | null | Promise<DocInfo | null>;
+
+/**
+ * Context passed to the `transformOutput` option
+ */
+export interface TransformOutputContext {
+  /** Name of the file being written (e.g., 'llms-full.txt') */
+  filename: string;
+  /** Whether the file contains the full content of the documents or only links */
+  fullContent: boolean;
+  /** Version shown in the file header, if any */
+  version?: string;
+}
+
+/**
+ * Transform the content of a generated LLM file before it is written
+ */
+export type TransformOutput = (
+  content: string,
+  context: TransformOutputContext
+) => string | Promise<string>;
+
+/**
+ * A remark plugin, or a plugin with its options, as in the Docusaurus content plugins
+ */
+export type RemarkPlugin = ((...args: any[]) => unknown) | [(...args: any[]) => unknown, unknown];
+
+/**
+ * Options controlling how MDX content is rewritten into Markdown
+ */
+export type MdxTransformOptions = Pick<
+  PluginOptions,
+  'tabsOutput' | 'admonitionsOutput' | 'admonitionKeywords' | 'cleaningMode' | 'beforeDefaultRemarkPlugins' | 'remarkPlugins'
+> & {
+  /** Format of the documents (`markdown.format` of the site config), deciding whether `.md` files are parsed as MDX */
+  markdownFormat?: MarkdownFormat;
+};
+
+/**
+ * Format of a document, as in the `markdown.format` option of Docusaurus
+ */
+export type MarkdownFormat = 'mdx' | 'md' | 'detect';
+
 /**
  * Plugin context with processed options
  */
@@ -137,6 +445,21 @@ export interface PluginContext {
   options: PluginOptions;
   routesPaths?: string[];
   routes?: RouteConfig[];
-  routeMap?: Map<string, string>;
+  /** Documents loaded by the Docusaurus content plugins, keyed by absolute file path */
+  loadedDocs?: Map<string, LoadedDoc>;
+  /** Sidebars loaded by the Docusaurus docs plugin, keyed by sidebar name */
+  sidebars?: Record<string, SidebarItem[]>;
   defaultLocale?: string;
+  /** Cache of the documents processed by previous generations */
+  cache?: DocCache;
+  /** Documents processed during this generation, keyed by absolute file path and shared by every output */
+  processedDocs?: Map<string, Promise<DocInfo | null>>;
+  /** Token counts of the files generated so far, for the summary printed after generation */
+  fileStats?: LLMFileStats[];
+  /** URL the output directory is served from, when it is not the root of the site (default: siteUrl) */
+  outUrl?: string;
+  /** Trailing slash setting of the site, which decides whether pages are built as `<route>/index.html` */
+  trailingSlash?: boolean;
+  /** Format of the documents (`markdown.format` of the site config, default: 'mdx') */
+  markdownFormat?: MarkdownFormat;
 } 
\ No newline at end of file
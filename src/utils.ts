@@ -8,6 +8,7 @@ import { minimatch } from 'minimatch';
 import matter from 'gray-matter';
 import * as YAML from 'yaml';
 import { PluginOptions } from './types';
+import { RawSources, convertCodeBlocks, transformOutsideCodeBlocks } from './mdx';
 
 /**
  * Write content to a file
@@ -46,36 +47,79 @@ export function shouldIgnoreFile(filePath: string, baseDir: string, ignorePatter
   );
 }
 
+/** Number of files read or processed at the same time by default */
+export const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Create a function that runs async tasks with at most `concurrency` of them running at a time
+ * Tasks start in the order they are submitted.
+ * @param concurrency - Maximum number of tasks running at the same time
+ * @returns Function running a task once a slot is free, resolving with the task's result
+ */
+export function createConcurrencyLimit(concurrency: number): <T>(task: () => Promise<T>) => Promise<T> {
+  const queue: (() => void)[] = [];
+  let running = 0;
+
+  const next = () => {
+    if (running < concurrency && queue.length > 0) {
+      running++;
+      queue.shift()!();
+    }
+  };
+
+  return <T>(task: () => Promise<T>) => new Promise<T>((resolve, reject) => {
+    queue.push(() => {
+      task().then(resolve, reject).finally(() => {
+        running--;
+        next();
+      });
+    });
+    next();
+  });
+}
+
 /**
  * Recursively reads all Markdown files in a directory
+ * Subdirectories are read in parallel, and the files are returned in directory order.
  * @param dir - Directory to scan
  * @param baseDir - Base directory for relative paths
  * @param ignorePatterns - Glob patterns for files to ignore
+ * @param concurrency - Maximum number of directories read at the same time
  * @returns Array of file paths
  */
-export async function readMarkdownFiles(dir: string, baseDir: string, ignorePatterns: string[] = []): Promise<string[]> {
-  const files: string[] = [];
-  const entries = await fs.readdir(dir, { withFileTypes: true });
+export async function readMarkdownFiles(
+  dir: string,
+  baseDir: string,
+  ignorePatterns: string[] = [],
+  concurrency: number = DEFAULT_CONCURRENCY
+): Promise<string[]> {
+  // Only directory reads take a slot, so waiting on subdirectories never blocks them
+  const limit = createConcurrencyLimit(concurrency);
 
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
+  const readDir = async (currentDir: string): Promise<string[]> => {
+    const entries = await limit(() => fs.readdir(currentDir, { withFileTypes: true }));
     
-    if (shouldIgnoreFile(fullPath, baseDir, ignorePatterns)) {
-      continue;
-    }
-    
-    if (entry.isDirectory()) {
-      const subDirFiles = await readMarkdownFiles(fullPath, baseDir, ignorePatterns);
-      files.push(...subDirFiles);
-    } else if (entry.name.endsWith('.md') || entry.name.endsWith('.mdx')) {
+    const entryFiles = await Promise.all(entries.map(async (entry): Promise<string[]> => {
+      const fullPath = path.join(currentDir, entry.name);
+      
+      if (shouldIgnoreFile(fullPath, baseDir, ignorePatterns)) {
+        return [];
+      }
+      
+      if (entry.isDirectory()) {
+        return readDir(fullPath);
+      }
       // Skip partial files (those starting with underscore)
-      if (!entry.name.startsWith('_')) {
-        files.push(fullPath);
+      if ((entry.name.endsWith('.md') || entry.name.endsWith('.mdx')) && !entry.name.startsWith('_')) {
+        return [fullPath];
       }
-    }
-  }
+      return [];
+    }));
+    
+    return entryFiles.flat();
+  };
 
-  return files;
+  return readDir(dir);
 }
 
 /**
@@ -107,9 +151,10 @@ export function extractTitle(data: any, content: string, filePath: string): stri
  * Resolve and inline partial imports in markdown content
  * @param content - The markdown content with import statements
  * @param filePath - The path of the file containing the imports
+ * @param dependencies - Collects the paths of the imported files (optional)
  * @returns Content with partials resolved
  */
-export async function resolvePartialImports(content: string, filePath: string): Promise<string> {
+export async function resolvePartialImports(content: string, filePath: string, dependencies?: Set<string>): Promise<string> {
   let resolved = content;
   
   // Match import statements for partials and JSX usage
@@ -136,22 +181,22 @@ export async function resolvePartialImports(content: string, filePath: string):
       // Resolve the partial file path relative to the current file
       const dir = path.dirname(filePath);
       const partialPath = path.resolve(dir, importPath);
+      dependencies?.add(partialPath);
       
       // Read the partial file
       const partialContent = await readFile(partialPath);
       const { content: partialMarkdown } = matter(partialContent);
       
-      // Remove the import statement
-      resolved = resolved.replace(
-        new RegExp(`^\\s*import\\s+(?:${componentName}|{\\s*${componentName}\\s*})\\s+from\\s+['"]${importPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}['"];?\\s*$`, 'gm'),
-        ''
-      );
-      
-      // Replace JSX usage with the partial content
+      // Remove the import statement and replace JSX usage with the partial content,
+      // leaving code blocks that show the import untouched
       // Handle both self-closing tags and tags with content
       // <PartialName /> or <PartialName></PartialName> or <PartialName>...</PartialName>
+      const importStatementRegex = new RegExp(`^\\s*import\\s+(?:${componentName}|{\\s*${componentName}\\s*})\\s+from\\s+['"]${importPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}['"];?\\s*$`, 'gm');
       const jsxRegex = new RegExp(`<${componentName}\\s*(?:[^>]*?)(?:/>|>[^<]*</${componentName}>)`, 'g');
-      resolved = resolved.replace(jsxRegex, partialMarkdown.trim());
+      resolved = transformOutsideCodeBlocks(resolved, text => text
+        .replace(importStatementRegex, '')
+        .replace(jsxRegex, () => partialMarkdown.trim())
+      );
       
     } catch (error) {
       console.warn(`Failed to resolve partial import "${importPath}" in ${filePath}: ${error}`);
@@ -162,6 +207,56 @@ export async function resolvePartialImports(content: string, filePath: string):
   return resolved;
 }
 
+/**
+ * Resolve raw-loader imports and inline them into the CodeBlocks that use them
+ * Pattern: import Example from '!!raw-loader!./example.ts' with <CodeBlock language="ts">{Example}</CodeBlock>
+ * @param content - The markdown content with import statements
+ * @param filePath - The path of the file containing the imports
+ * @param siteDir - Site directory, used to resolve `@site/` paths
+ * @param dependencies - Collects the paths of the imported files (optional)
+ * @returns Content with raw-loader CodeBlocks turned into fenced code blocks
+ */
+export async function resolveRawLoaderImports(
+  content: string,
+  filePath: string,
+  siteDir?: string,
+  dependencies?: Set<string>
+): Promise<string> {
+  const importRegex = /^\s*import\s+(\w+)\s+from\s+['"]!*raw-loader!([^'"]+)['"];?\s*$/gm;
+  const rawSources: RawSources = new Map();
+  let resolved = content;
+  
+  // Imports shown in code blocks are examples, not imports of the document
+  const imports: RegExpMatchArray[] = [];
+  transformOutsideCodeBlocks(content, text => {
+    imports.push(...text.matchAll(importRegex));
+    return text;
+  });
+  
+  for (const [importStatement, variableName, importPath] of imports) {
+    
+    // Resolve the source file relative to the current file, or to the site for @site/ paths
+    const sourcePath = importPath.startsWith('@site/') && siteDir
+      ? path.join(siteDir, importPath.slice('@site/'.length))
+      : path.resolve(path.dirname(filePath), importPath);
+    dependencies?.add(sourcePath);
+    
+    try {
+      rawSources.set(variableName, { code: await readFile(sourcePath), filePath: sourcePath });
+      resolved = transformOutsideCodeBlocks(resolved, text => text.replace(importStatement, ''));
+    } catch (error) {
+      console.warn(`Failed to resolve raw-loader import "${importPath}" in ${filePath}: ${error}`);
+      // Leave the import and usage as-is if we can't resolve it
+    }
+  }
+  
+  if (rawSources.size === 0) {
+    return content;
+  }
+  
+  return transformOutsideCodeBlocks(resolved, text => convertCodeBlocks(text, rawSources));
+}
+
 /**
  * Clean markdown content for LLM consumption
  * @param content - Raw markdown content
@@ -181,67 +276,78 @@ export function cleanMarkdownContent(content: string, excludeImports: boolean =
     // - import { ... } from "...";
     // - import * as ... from "...";
     // - import "..."; (side-effect imports)
-    cleaned = cleaned.replace(/^\s*import\s+.*?;?\s*$/gm, '');
+    // Code blocks are left untouched, as their import lines are part of the example
+    cleaned = transformOutsideCodeBlocks(cleaned, text => text.replace(/^\s*import\s+.*?;?\s*$/gm, ''));
   }
   
-  // Remove HTML tags, but preserve XML content in code blocks
-  // We need to be selective to avoid removing XML content from code blocks
+  // Remove HTML tags, but preserve XML and HTML content in code blocks
   // This regex targets common HTML tags while being more conservative about XML
-  cleaned = cleaned.replace(/<\/?(?:div|span|p|br|hr|img|a|strong|em|b|i|u|h[1-6]|ul|ol|li|table|tr|td|th|thead|tbody)\b[^>]*>/gi, '');
+  cleaned = transformOutsideCodeBlocks(cleaned, text =>
+    text.replace(/<\/?(?:div|span|p|br|hr|img|a|strong|em|b|i|u|h[1-6]|ul|ol|li|table|tr|td|th|thead|tbody)\b[^>]*>/gi, '')
+  );
   
   // Remove redundant content that just repeats the heading (if requested)
+  // Lines in code blocks are not headings, even when they start with '#'
   if (removeDuplicateHeadings) {
-    // Split content into lines and process line by line
-    const lines = cleaned.split('\n');
-    const processedLines: string[] = [];
-    let i = 0;
+    cleaned = transformOutsideCodeBlocks(cleaned, removeDuplicateHeadingLines);
+  }
+  
+  // Normalize whitespace, keeping blank lines in code blocks
+  cleaned = transformOutsideCodeBlocks(cleaned.replace(/\r\n/g, '\n'), text => text.replace(/\n{3,}/g, '\n\n'))
+    .trim();
     
-    while (i < lines.length) {
-      const currentLine = lines[i];
+  return cleaned;
+}
+
+/**
+ * Remove lines that just repeat the text of the heading right above them
+ * @param content - Markdown content
+ * @returns Content without the redundant lines
+ */
+function removeDuplicateHeadingLines(content: string): string {
+  // Split content into lines and process line by line
+  const lines = content.split('\n');
+  const processedLines: string[] = [];
+  let i = 0;
+  
+  while (i < lines.length) {
+    const currentLine = lines[i];
+    
+    // Check if current line is a heading (accounting for leading whitespace)
+    const headingMatch = currentLine.match(/^\s*(#+)\s+(.+)$/);
+    if (headingMatch) {
+      const headingLevel = headingMatch[1];
+      const headingText = headingMatch[2].trim();
       
-      // Check if current line is a heading (accounting for leading whitespace)
-      const headingMatch = currentLine.match(/^\s*(#+)\s+(.+)$/);
-      if (headingMatch) {
-        const headingLevel = headingMatch[1];
-        const headingText = headingMatch[2].trim();
-        
-        processedLines.push(currentLine);
+      processedLines.push(currentLine);
+      i++;
+      
+      // Look ahead for potential redundant content
+      // Skip empty lines
+      while (i < lines.length && lines[i].trim() === '') {
+        processedLines.push(lines[i]);
         i++;
+      }
+      
+      // Check if the next non-empty line just repeats the heading text
+      // but is NOT itself a heading (to avoid removing valid headings of different levels)
+      if (i < lines.length) {
+        const nextLine = lines[i].trim();
+        const nextLineIsHeading = /^\s*#+\s+/.test(nextLine);
         
-        // Look ahead for potential redundant content
-        // Skip empty lines
-        while (i < lines.length && lines[i].trim() === '') {
-          processedLines.push(lines[i]);
+        // Only remove if it exactly matches the heading text AND is not a heading itself
+        if (nextLine === headingText && !nextLineIsHeading) {
+          // Skip this redundant line
           i++;
         }
-        
-        // Check if the next non-empty line just repeats the heading text
-        // but is NOT itself a heading (to avoid removing valid headings of different levels)
-        if (i < lines.length) {
-          const nextLine = lines[i].trim();
-          const nextLineIsHeading = /^\s*#+\s+/.test(nextLine);
-          
-          // Only remove if it exactly matches the heading text AND is not a heading itself
-          if (nextLine === headingText && !nextLineIsHeading) {
-            // Skip this redundant line
-            i++;
-          }
-        }
-      } else {
-        processedLines.push(currentLine);
-        i++;
       }
+    } else {
+      processedLines.push(currentLine);
+      i++;
     }
-    
-    cleaned = processedLines.join('\n');
   }
   
-  // Normalize whitespace
-  cleaned = cleaned.replace(/\r\n/g, '\n')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
-    
-  return cleaned;
+  return processedLines.join('\n');
 }
 
 /**
@@ -310,6 +416,20 @@ export function sanitizeForFilename(input: string, fallback: string = 'untitled'
   return sanitized || fallback;
 }
 
+/**
+ * Append a suffix to a filename, before its extension
+ * @param filename - Original filename (e.g., 'llms.txt')
+ * @param suffix - Suffix to append (e.g., 'api' or '2.0')
+ * @returns Filename with the suffix (e.g., 'llms-api.txt')
+ */
+export function appendFilenameSuffix(filename: string, suffix: string): string {
+  const extension = path.extname(filename);
+  const baseName = filename.slice(0, filename.length - extension.length);
+  // Keep dots so version suffixes like '2.0' stay readable
+  const safeSuffix = suffix.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'default';
+  return `${baseName}-${safeSuffix}${extension}`;
+}
+
 /**
  * Ensure a unique identifier from a set of used identifiers
  * @param baseIdentifier - Base identifier to make unique
@@ -0,0 +1,196 @@
+/**
+ * Helpers shared by the test scripts
+ *
+ * Each script builds its own site in a temporary directory of tests/, runs the plugin
+ * the way Docusaurus does and reports its checks through runTests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const plugin = require('../lib/index').default;
+
+/**
+ * Run the checks of a test script, exiting with an error code if any of them fails
+ * @param {string} title - Name of the tested feature, used in the output
+ * @param {(check: (name: string, condition: unknown) => void) => unknown} tests - Runs the checks
+ */
+function runTests(title, tests) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (name, condition) => {
+    if (condition) {
+      console.log(`✅ PASS: ${name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ${name}`);
+      failed++;
+    }
+  };
+
+  console.log(`Running ${title} tests...\n`);
+  Promise.resolve()
+    .then(() => tests(check))
+    .catch(error => {
+      console.error('Test error:', error);
+      failed++;
+    })
+    .then(() => {
+      console.log(`\n${title} Results: ${passed} passed, ${failed} failed.`);
+      if (failed > 0) {
+        process.exit(1);
+      }
+    });
+}
+
+/**
+ * Create the temporary site of a test script, in tests/test-<name>-temp
+ * @param {string} name - Name of the test script
+ * @param {string} outDir - Build directory, relative to the site directory
+ */
+function createTestSite(name, outDir = 'build') {
+  const siteDir = path.join(__dirname, `test-${name}-temp`);
+  const site = {
+    siteDir,
+    outDir: path.join(siteDir, outDir),
+    /** Write a file of the site, creating its directories */
+    writeFile(relativePath, content) {
+      const fullPath = path.join(siteDir, relativePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content);
+    },
+    /** Read a generated file */
+    readOutput(relativePath) {
+      return fs.readFileSync(path.join(site.outDir, relativePath), 'utf8');
+    },
+    /** Check whether a file was generated */
+    outputExists(relativePath) {
+      return fs.existsSync(path.join(site.outDir, relativePath));
+    },
+    /** Empty the build directory */
+    resetOutput() {
+      fs.rmSync(site.outDir, { recursive: true, force: true });
+      fs.mkdirSync(site.outDir, { recursive: true });
+    },
+    /** Delete the whole site */
+    remove() {
+      fs.rmSync(siteDir, { recursive: true, force: true });
+    },
+  };
+  return site;
+}
+
+/**
+ * Build a test site with the plugin: load its content, if given, then run postBuild
+ * @param {object} site - Site created by createTestSite
+ * @param {object} options - Plugin options
+ * @param {object} build - Loaded content (`allContent`), site config and plugin context overrides
+ * @returns {Promise<{pluginInstance: object, globalData: unknown}>} The plugin instance and the global data it set
+ */
+async function buildSite(site, options, { allContent, siteConfig = {}, context = {} } = {}) {
+  const pluginInstance = plugin({
+    siteDir: site.siteDir,
+    siteConfig: { title: 'Test Site', tagline: 'Test site', url: 'https://example.com', baseUrl: '/', ...siteConfig },
+    outDir: site.outDir,
+    ...context,
+  }, options);
+
+  let globalData;
+  if (allContent) {
+    await pluginInstance.allContentLoaded({
+      allContent,
+      actions: { setGlobalData: data => { globalData = data; } },
+    });
+  }
+  await pluginInstance.postBuild({ routes: [], routesPaths: [] });
+  return { pluginInstance, globalData };
+}
+
+/**
+ * Run a function with console output captured instead of printed
+ * @param {() => unknown} run - Function to run
+ * @param {string[]} methods - Console methods to capture
+ * @returns {Promise<{result: unknown, output: string}>} The result of the function and the captured lines
+ */
+async function captureConsole(run, methods = ['log']) {
+  const lines = [];
+  const originals = methods.map(method => console[method]);
+  for (const method of methods) {
+    console[method] = (...args) => lines.push(args.join(' '));
+  }
+  try {
+    const result = await run();
+    return { result, output: lines.join('\n') };
+  } finally {
+    methods.forEach((method, index) => {
+      console[method] = originals[index];
+    });
+  }
+}
+
+/**
+ * Metadata of a document loaded by the docs plugin
+ * @param {string} source - Path of the document in the site
+ * @param {object} overrides - Metadata to set, such as `permalink` or `frontMatter`
+ */
+function docMetadata(source, overrides = {}) {
+  const id = source.replace(/^docs\//, '').replace(/\.mdx?$/, '');
+  return {
+    id,
+    version: 'current',
+    source: `@site/${source}`,
+    permalink: `/docs/${id}`,
+    draft: false,
+    unlisted: false,
+    ...overrides,
+  };
+}
+
+/**
+ * Content loaded by the default docs plugin instance, with a single version
+ * @param {object[]} docs - Metadata of the documents
+ * @param {object} version - Other properties of the version, such as `sidebars`
+ */
+function createDocsContent(docs, version = {}) {
+  return {
+    'docusaurus-plugin-content-docs': {
+      default: {
+        loadedVersions: [{ versionName: 'current', docs, ...version }],
+      },
+    },
+  };
+}
+
+/**
+ * List the files of a directory and its subdirectories
+ * @param {string} dir - Directory to list
+ * @returns {string[]} Sorted paths relative to the directory, with forward slashes, or none if it does not exist
+ */
+function listFiles(dir) {
+  const files = [];
+  if (!fs.existsSync(dir)) {
+    return files;
+  }
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else {
+        files.push(path.relative(dir, entryPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  walk(dir);
+  return files.sort();
+}
+
+module.exports = {
+  runTests,
+  createTestSite,
+  buildSite,
+  captureConsole,
+  docMetadata,
+  createDocsContent,
+  listFiles,
+};
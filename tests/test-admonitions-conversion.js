@@ -0,0 +1,122 @@
+/**
+ * Tests for rendering Docusaurus admonitions as plain-text callouts
+ *
+ * Run with: node tests/test-admonitions-conversion.js
+ */
+
+const { transformMdxComponents } = require('../lib/mdx');
+
+const tests = [
+  {
+    name: 'Leaves admonitions unchanged by default',
+    input: ':::warning\nCareful.\n:::',
+    options: {},
+    expected: ':::warning\nCareful.\n:::'
+  },
+  {
+    name: 'Renders a blockquote with a bold keyword and title',
+    input: ':::warning[Breaking change]\nThe API changed.\n:::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '> **Warning: Breaking change**\n>\n> The API changed.'
+  },
+  {
+    name: 'Supports the legacy title syntax',
+    input: ':::note Heads up\nRead this.\n:::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '> **Note: Heads up**\n>\n> Read this.'
+  },
+  {
+    name: 'Uses the keyword alone without a title',
+    input: ':::tip\nUse the CLI.\n:::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '> **Tip**\n>\n> Use the CLI.'
+  },
+  {
+    name: 'Renders GitHub alerts',
+    input: ':::danger\nDo not delete.\n:::',
+    options: { admonitionsOutput: 'github' },
+    expected: '> [!CAUTION]\n> Do not delete.'
+  },
+  {
+    name: 'Keeps the title in GitHub alerts',
+    input: ':::info[Version 2]\nNew in 2.0.\n:::',
+    options: { admonitionsOutput: 'github' },
+    expected: '> [!NOTE]\n> **Version 2**\n>\n> New in 2.0.'
+  },
+  {
+    name: 'Handles nested admonitions',
+    input: '::::warning[Outer]\nOuter body.\n\n:::tip\nInner body.\n:::\n\nAfter inner.\n::::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '> **Warning: Outer**\n>\n> Outer body.\n>\n> > **Tip**\n> >\n> > Inner body.\n>\n> After inner.'
+  },
+  {
+    name: 'Separates text right after a nested admonition',
+    input: '::::note[Outer]\nA\n\n:::tip\nInner\n:::\nB\n::::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '> > Inner\n>\n> B'
+  },
+  {
+    name: 'Separates admonitions following each other',
+    input: ':::tip\nFirst\n:::\n:::info\nSecond\n:::\nAfter',
+    options: { admonitionsOutput: 'github' },
+    expected: '> First\n\n> [!NOTE]\n> Second\n\nAfter'
+  },
+  {
+    name: 'Converts custom admonition keywords',
+    input: ':::release-note[1.2.0]\nShipped.\n:::',
+    options: { admonitionsOutput: 'blockquote', admonitionKeywords: ['release-note'] },
+    expected: '> **Release Note: 1.2.0**\n>\n> Shipped.'
+  },
+  {
+    name: 'Leaves unknown directives untouched',
+    input: ':::release-note\nShipped.\n:::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: ':::release-note\nShipped.\n:::'
+  },
+  {
+    name: 'Keeps code blocks inside admonitions intact',
+    input: ':::note\nRun:\n\n```bash\nnpm test\n\nnpm run build\n```\n:::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '> Run:\n>\n> ```bash\n> npm test\n>\n> npm run build\n> ```'
+  },
+  {
+    name: 'Leaves admonition syntax inside code blocks untouched',
+    input: '```md\n:::warning\nExample\n:::\n```',
+    options: { admonitionsOutput: 'github' },
+    expected: '```md\n:::warning\nExample\n:::\n```'
+  },
+  {
+    name: 'Keeps the indentation of admonitions in lists',
+    input: '- Step one\n\n  :::tip\n  Optional.\n  :::',
+    options: { admonitionsOutput: 'blockquote' },
+    expected: '- Step one\n\n  > **Tip**\n  >\n  > Optional.'
+  },
+];
+
+function runTests() {
+  console.log('Running admonitions conversion tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    const result = transformMdxComponents(test.input, test.options);
+    if (result.includes(test.expected)) {
+      console.log(`✅ PASS: ${test.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ${test.name}`);
+      console.log('   Expected to contain:', JSON.stringify(test.expected));
+      console.log('   Got:', JSON.stringify(result));
+      failed++;
+    }
+  }
+
+  console.log(`\nAdmonitions Conversion Results: ${passed} passed, ${failed} failed.`);
+
+  return failed === 0;
+}
+
+if (!runTests()) {
+  process.exit(1);
+}
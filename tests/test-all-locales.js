@@ -0,0 +1,83 @@
+/**
+ * Tests for per-locale generation on i18n sites (generateForAllLocales)
+ *
+ * Run with: node tests/test-all-locales.js
+ */
+
+const path = require('path');
+const { runTests, createTestSite, buildSite, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('all-locales', 'build/ja');
+const LOCALIZED_DOCS_DIR = 'i18n/ja/docusaurus-plugin-content-docs/current';
+
+const files = {
+  'docs/intro.md': '---\ntitle: Introduction\n---\n\nEnglish introduction.',
+  'docs/guides/setup.md': '---\ntitle: Setup\n---\n\nEnglish setup guide.',
+  [`${LOCALIZED_DOCS_DIR}/intro.md`]: '---\ntitle: はじめに\n---\n\n日本語の紹介。',
+};
+
+function setupTestSite() {
+  site.remove();
+  for (const [file, content] of Object.entries(files)) {
+    site.writeFile(file, content);
+  }
+}
+
+// Content of the docs plugin in the "ja" build: the translated intro comes from the
+// i18n directory, the untranslated setup guide falls back to the docs directory
+function createAllContent() {
+  const doc = (id, source) => docMetadata(source, { id, permalink: `/ja/docs/${id}` });
+  return createDocsContent([
+    doc('intro', `${LOCALIZED_DOCS_DIR}/intro.md`),
+    doc('guides/setup', 'docs/guides/setup.md'),
+  ], {
+    isLast: true,
+    contentPath: path.join(site.siteDir, 'docs'),
+    contentPathLocalized: path.join(site.siteDir, LOCALIZED_DOCS_DIR),
+    sidebars: {},
+  });
+}
+
+async function generate(options, allContent = createAllContent()) {
+  site.resetOutput();
+  await buildSite(site, options, {
+    allContent,
+    siteConfig: { i18n: { defaultLocale: 'en', locales: ['en', 'ja'] } },
+  });
+}
+
+function readOutput(filename) {
+  return site.outputExists(filename) ? site.readOutput(filename) : null;
+}
+
+runTests('All Locales', async (check) => {
+  setupTestSite();
+
+  try {
+    // Default behavior: non-default locales are skipped
+    await generate({});
+    check('Skips non-default locales by default', readOutput('llms.txt') === null);
+
+    await generate({
+      generateForAllLocales: true,
+      customLLMFiles: [
+        { filename: 'llms-intro.txt', includePatterns: ['docs/intro.md'], fullContent: true },
+      ],
+    });
+    const llmsTxt = readOutput('llms.txt');
+    const llmsFullTxt = readOutput('llms-full.txt');
+    check('Generates files for the non-default locale', llmsTxt !== null && llmsFullTxt !== null);
+    check('Uses translated documents', llmsFullTxt.includes('日本語の紹介。') && !llmsFullTxt.includes('English introduction.'));
+    check('Falls back to the default-locale source for untranslated pages', llmsFullTxt.includes('English setup guide.'));
+    check('Uses URLs under the locale prefix', llmsTxt.includes('(https://example.com/ja/docs/intro/)') && llmsTxt.includes('(https://example.com/ja/docs/guides/setup/)'));
+
+    const customFile = readOutput('llms-intro.txt');
+    check('Matches include patterns against the default-locale paths', customFile !== null && customFile.includes('日本語の紹介。'));
+
+    // Without the docs plugin content, translations cannot be resolved
+    await generate({ generateForAllLocales: true }, null);
+    check('Skips the locale without loaded content', readOutput('llms.txt') === null);
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the "Ask an assistant" links (assistantLinks)
+ *
+ * Run with: node tests/test-assistant-links.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pluginModule = require('../lib/index');
+const plugin = pluginModule.default;
+const { validateOptions } = pluginModule;
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('assistant-links');
+
+const TARGETS = [
+  { label: 'Ask ChatGPT', url: 'https://chatgpt.com/?q={prompt}' },
+  { label: 'Ask Claude', url: 'https://claude.ai/new?q={prompt}' },
+];
+
+function setupTestSite() {
+  site.remove();
+  site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nIntroduction text.');
+}
+
+const allContent = createDocsContent([
+  docMetadata('docs/intro.md', { title: 'Introduction', frontMatter: { title: 'Introduction' } }),
+]);
+
+/**
+ * Load the content, returning the plugin instance and the global data it sets
+ */
+async function loadContent(options) {
+  let globalData;
+  const pluginInstance = plugin({
+    siteDir: site.siteDir,
+    siteConfig: { title: 'Test Site', url: 'https://example.com', baseUrl: '/' },
+    baseUrl: '/',
+    outDir: site.outDir,
+  }, { cache: false, generateMarkdownFiles: true, ...options });
+  await pluginInstance.allContentLoaded({
+    allContent,
+    actions: { setGlobalData: data => { globalData = data; } },
+  });
+  return { pluginInstance, globalData };
+}
+
+/**
+ * Validate options, returning the validation error if any
+ */
+function validationError(options) {
+  try {
+    validateOptions({ validate: normalizePluginOptions, options });
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+runTests('Assistant Links', async (check) => {
+  setupTestSite();
+
+  try {
+    const { pluginInstance, globalData } = await loadContent({ assistantLinks: { targets: TARGETS } });
+    check('Passes the targets to the theme', JSON.stringify(globalData.assistantLinks.targets) === JSON.stringify(TARGETS));
+    check('Uses the default prompt', globalData.assistantLinks.prompt === 'Read {mdUrl} and answer questions about it');
+    check('Maps pages to their markdown file', globalData.markdownFiles['/docs/intro'] === '/intro.md');
+    check('Does not enable the copy page button', globalData.copyPageButton === false);
+
+    const themePath = pluginInstance.getThemePath?.();
+    check('Adds the theme components', themePath && fs.existsSync(path.join(themePath, 'AskAssistantLinks', 'index.js')));
+
+    const prompt = 'Using {mdUrl} (from {pageUrl}), answer my questions';
+    const custom = await loadContent({ assistantLinks: { prompt, targets: TARGETS }, copyPageButton: true });
+    check('Uses the configured prompt', custom.globalData.assistantLinks.prompt === prompt);
+    check('Keeps the copy page button', custom.globalData.copyPageButton === true);
+
+    const disabled = await loadContent({});
+    check('Adds no links by default', disabled.globalData === undefined && disabled.pluginInstance.getThemePath === undefined);
+
+    check('Accepts targets with a {prompt} placeholder', validationError({ generateMarkdownFiles: true, assistantLinks: { targets: TARGETS } }) === null);
+    check('Requires generateMarkdownFiles', validationError({ assistantLinks: { targets: TARGETS } })?.message.includes('generateMarkdownFiles'));
+    check('Requires at least one target', validationError({ generateMarkdownFiles: true, assistantLinks: { targets: [] } }) !== null);
+    check('Requires the {prompt} placeholder in target URLs', validationError({
+      generateMarkdownFiles: true,
+      assistantLinks: { targets: [{ label: 'Ask ChatGPT', url: 'https://chatgpt.com/' }] },
+    }) !== null);
+  } finally {
+    site.remove();
+  }
+});
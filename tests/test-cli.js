@@ -0,0 +1,98 @@
+/**
+ * Tests for the `docusaurus llms` command
+ *
+ * Run with: node tests/test-cli.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const plugin = require('../lib/index').default;
+const { runTests, createTestSite, captureConsole, listFiles } = require('./helpers');
+
+const site = createTestSite('cli');
+
+function setupTestSite() {
+  site.remove();
+  site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nIntroduction content.');
+  site.writeFile('docs/api/users.md', '---\ntitle: Users\n---\n\nUsers content.');
+}
+
+/**
+ * Minimal stand-in for the Commander program passed to extendCli
+ */
+function createCli() {
+  const commands = {};
+  return {
+    commands,
+    command(name) {
+      const command = { name, options: [] };
+      commands[name] = command;
+      const chain = {
+        description(text) { command.description = text; return chain; },
+        option(flags) { command.options.push(flags); return chain; },
+        action(handler) { command.action = handler; return chain; },
+      };
+      return chain;
+    },
+  };
+}
+
+runTests('CLI Command', async (check) => {
+  setupTestSite();
+
+  try {
+    const pluginInstance = plugin({
+      siteDir: site.siteDir,
+      siteConfig: { title: 'Test Site', tagline: 'CLI test', url: 'https://example.com', baseUrl: '/' },
+      outDir: site.outDir,
+    }, {
+      customLLMFiles: [
+        { filename: 'llms-api.txt', includePatterns: ['docs/api/**'], fullContent: true },
+      ],
+    });
+
+    const cli = createCli();
+    pluginInstance.extendCli(cli);
+    const command = cli.commands.llms;
+    check('Registers the llms command', command !== undefined && typeof command.action === 'function');
+    check(
+      'Declares the --out-dir, --only and --dry-run flags',
+      ['--out-dir <dir>', '--only <filename>', '--dry-run'].every(flags => command.options.includes(flags))
+    );
+
+    // Default run writes every file to the build directory
+    await command.action({});
+    check('Writes every file to the build directory', ['llms-api.txt', 'llms-full.txt', 'llms.txt'].every(file => listFiles(site.outDir).includes(file)));
+    check('Generates the files from the source tree', site.readOutput('llms.txt').includes('[Users]'));
+
+    // --out-dir
+    await command.action({ outDir: 'llms-preview' });
+    check('Writes to --out-dir relative to the site directory', listFiles(path.join(site.siteDir, 'llms-preview')).includes('llms-full.txt'));
+
+    // --only
+    const onlyDir = path.join(site.siteDir, 'only');
+    await command.action({ outDir: 'only', only: 'llms-api.txt' });
+    check('Generates only the custom file given to --only', JSON.stringify(listFiles(onlyDir)) === JSON.stringify(['llms-api.txt']));
+    fs.rmSync(onlyDir, { recursive: true, force: true });
+    await command.action({ outDir: 'only', only: 'llms-full.txt' });
+    check('Generates only the standard file given to --only', JSON.stringify(listFiles(onlyDir)) === JSON.stringify(['llms-full.txt']));
+
+    let onlyError = null;
+    try {
+      await command.action({ only: 'llms-missing.txt' });
+    } catch (error) {
+      onlyError = error;
+    }
+    check('Rejects unknown --only files with the available names', onlyError !== null && onlyError.message.includes('llms-api.txt'));
+
+    // --dry-run
+    const { output } = await captureConsole(() => command.action({ outDir: 'dry-run', dryRun: true }));
+    check('Writes nothing on --dry-run', !fs.existsSync(path.join(site.siteDir, 'dry-run')));
+    check(
+      'Lists the files that would be written on --dry-run',
+      output.includes('3 files would be written') && /llms-api\.txt \(\d+ bytes\)/.test(output)
+    );
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for inlining raw-loader imports and CodeBlock usages as fenced code blocks
+ *
+ * Run with: node tests/test-code-block-imports.js
+ */
+
+const path = require('path');
+const { processMarkdownFile } = require('../lib/processor');
+const { transformMdxComponents } = require('../lib/mdx');
+const { resolveRawLoaderImports } = require('../lib/utils');
+const { runTests, createTestSite, captureConsole } = require('./helpers');
+
+const site = createTestSite('code-block-imports');
+
+const files = {
+  'docs/sdk/example.ts': 'export function greet(name: string) {\n  return `Hello ${name}`;\n}\n',
+  'src/examples/hello.py': 'print("hello")\n',
+  'docs/sdk/usage.mdx': [
+    '---',
+    'title: SDK Usage',
+    '---',
+    '',
+    "import CodeBlock from '@theme/CodeBlock';",
+    "import Example from '!!raw-loader!./example.ts';",
+    "import Hello from '!!raw-loader!@site/src/examples/hello.py';",
+    "import Missing from '!!raw-loader!./missing.ts';",
+    '',
+    '<CodeBlock language="ts" title="example.ts">{Example}</CodeBlock>',
+    '',
+    '<Tabs>',
+    '  <TabItem value="python" label="Python">',
+    '    <CodeBlock>{Hello}</CodeBlock>',
+    '  </TabItem>',
+    '</Tabs>',
+    '',
+    '<CodeBlock>{Missing}</CodeBlock>',
+    '',
+    '```mdx',
+    '<CodeBlock language="ts">{Example}</CodeBlock>',
+    '```',
+  ].join('\n'),
+};
+
+function setupTestSite() {
+  site.remove();
+  for (const [file, content] of Object.entries(files)) {
+    site.writeFile(file, content);
+  }
+}
+
+runTests('Code Block Import', async (check) => {
+  setupTestSite();
+
+  try {
+    // Capture the expected warning for the missing import
+    const filePath = path.join(site.siteDir, 'docs/sdk/usage.mdx');
+    const { result: doc, output: warnings } = await captureConsole(
+      () => processMarkdownFile(filePath, site.siteDir, 'https://example.com'),
+      ['warn']
+    );
+    const content = doc.content;
+
+    check(
+      'Inlines relative raw-loader imports with language and title',
+      content.includes('```ts title="example.ts"\nexport function greet(name: string) {\n  return `Hello ${name}`;\n}\n```')
+    );
+    check('Resolves @site raw-loader imports and infers the language', content.includes('```python\nprint("hello")\n```'));
+    check('Keeps CodeBlocks aligned inside tabs', content.includes('**Python:**\n\n```python'));
+    check('Removes resolved raw-loader imports', !content.includes("raw-loader!./example.ts';") && !content.includes('raw-loader!@site'));
+    check('Leaves unresolved imports and their CodeBlocks as-is', content.includes('<CodeBlock>{Missing}</CodeBlock>') && warnings.includes('missing.ts'));
+    check('Leaves CodeBlocks inside code blocks untouched', content.includes('```mdx\n<CodeBlock language="ts">{Example}</CodeBlock>\n```'));
+
+    const example = [
+      'Import the file with raw-loader:',
+      '',
+      '```mdx',
+      "import Snippet from '!!raw-loader!./path/to/snippet.ts';",
+      '',
+      '<CodeBlock>{Snippet}</CodeBlock>',
+      '```',
+    ].join('\n');
+    const dependencies = new Set();
+    const { result: exampleContent, output: exampleWarnings } = await captureConsole(
+      () => resolveRawLoaderImports(example, filePath, site.siteDir, dependencies),
+      ['warn']
+    );
+    check(
+      'Ignores raw-loader imports inside code blocks',
+      exampleContent === example && dependencies.size === 0 && !exampleWarnings.includes('snippet.ts')
+    );
+
+    const literal = transformMdxComponents('<CodeBlock language="bash" title="Install">{`npm install \\`pkg\\``}</CodeBlock>');
+    check('Converts CodeBlocks with template literal children', literal === '```bash title="Install"\nnpm install `pkg`\n```');
+
+    const text = transformMdxComponents('<CodeBlock language="text">\n  plain output\n</CodeBlock>');
+    check('Converts CodeBlocks with text children', text === '```text\nplain output\n```');
+
+    const fenced = transformMdxComponents('<CodeBlock language="md">{`Use \\`\\`\\`js fences`}</CodeBlock>');
+    check('Uses a longer fence when the code contains backtick fences', fenced.startsWith('````md\n') && fenced.endsWith('\n````'));
+  } finally {
+    site.remove();
+  }
+});
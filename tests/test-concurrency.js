@@ -0,0 +1,95 @@
+/**
+ * Tests for bounded-concurrency file reading and processing
+ *
+ * Run with: node tests/test-concurrency.js
+ */
+
+const path = require('path');
+const { validateOptions } = require('../lib/index');
+const { createConcurrencyLimit, readMarkdownFiles } = require('../lib/utils');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite } = require('./helpers');
+
+const site = createTestSite('concurrency');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  for (let section = 1; section <= 4; section++) {
+    for (let page = 1; page <= 5; page++) {
+      site.writeFile(
+        `docs/section-${section}/nested-${page % 2}/page-${page}.md`,
+        `---\ntitle: Page ${section}.${page}\n---\n\nContent of page ${section}.${page}.`
+      );
+    }
+  }
+}
+
+async function generate(concurrency, onDoc) {
+  await buildSite(site, { cache: false, concurrency, transformDoc: onDoc });
+  return {
+    llmsTxt: site.readOutput('llms.txt'),
+    llmsFullTxt: site.readOutput('llms-full.txt'),
+  };
+}
+
+runTests('Concurrency', async (check) => {
+  setupTestSite();
+
+  try {
+    // Concurrency limit
+    const limit = createConcurrencyLimit(2);
+    let running = 0;
+    let maxRunning = 0;
+    const results = await Promise.all([30, 10, 20, 5, 1].map((delay, index) => limit(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(delay);
+      running--;
+      return index;
+    })));
+    check('Runs at most the given number of tasks at a time', maxRunning === 2);
+    check('Resolves each task with its own result', JSON.stringify(results) === JSON.stringify([0, 1, 2, 3, 4]));
+    let rejected = null;
+    await limit(() => Promise.reject(new Error('task failed'))).catch(error => { rejected = error; });
+    check('Rejects with the error of a failed task', rejected?.message === 'task failed');
+    check('Frees the slot of a failed task', (await limit(async () => 'next')) === 'next');
+
+    // Directory scanning
+    const docsDir = path.join(site.siteDir, 'docs');
+    const sequentialFiles = await readMarkdownFiles(docsDir, site.siteDir, [], 1);
+    const parallelFiles = await readMarkdownFiles(docsDir, site.siteDir, [], 8);
+    check('Finds every file when reading directories in parallel', parallelFiles.length === 20);
+    check('Returns the files in the same order as a sequential scan', JSON.stringify(parallelFiles) === JSON.stringify(sequentialFiles));
+
+    // Document processing
+    const sequential = await generate(1);
+    let processing = 0;
+    let maxProcessing = 0;
+    const parallel = await generate(4, async (doc) => {
+      processing++;
+      maxProcessing = Math.max(maxProcessing, processing);
+      // Finish in a different order than the documents were started
+      await sleep(doc.title.endsWith('1') ? 20 : 1);
+      processing--;
+      return doc;
+    });
+    check('Processes documents in parallel', maxProcessing > 1);
+    check('Respects the concurrency option', maxProcessing <= 4);
+    check('Keeps the llms.txt order of a sequential run', parallel.llmsTxt === sequential.llmsTxt);
+    check('Keeps the llms-full.txt order of a sequential run', parallel.llmsFullTxt === sequential.llmsFullTxt);
+
+    // Validation
+    let invalidError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { concurrency: 0 } });
+    } catch (error) {
+      invalidError = error;
+    }
+    check('Rejects a concurrency below 1', invalidError !== null);
+  } finally {
+    site.remove();
+  }
+});
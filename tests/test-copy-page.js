@@ -0,0 +1,122 @@
+/**
+ * Tests for the "Copy page as Markdown" button (copyPageButton)
+ *
+ * Run with: node tests/test-copy-page.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateOptions } = require('../lib/index');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('copy-page');
+
+function setupTestSite() {
+  site.remove();
+  site.writeFile('docs/home.md', '---\ntitle: Home\nslug: /\n---\n\nWelcome home.');
+  site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nIntroduction text.');
+  site.writeFile('docs/guides/setup.md', '---\ntitle: Setup\nslug: setup-guide\n---\n\nSetup steps.');
+  site.writeFile('docs/internal/notes.md', '---\ntitle: Notes\n---\n\nInternal notes.');
+}
+
+const page = (source, permalink, frontMatter) => docMetadata(source, { title: frontMatter.title, permalink, frontMatter });
+
+const allContent = createDocsContent([
+  page('docs/home.md', '/site/', { title: 'Home', slug: '/' }),
+  page('docs/intro.md', '/site/docs/intro/', { title: 'Introduction' }),
+  page('docs/guides/setup.md', '/site/docs/guides/setup-guide', { title: 'Setup', slug: 'setup-guide' }),
+  page('docs/internal/notes.md', '/site/docs/internal/notes', { title: 'Notes' }),
+]);
+
+/**
+ * Load the content and build the site, returning the plugin instance and the global data it set
+ */
+async function generate(options, { siteConfig, context, content = allContent } = {}) {
+  site.resetOutput();
+  const { result } = await captureConsole(() => buildSite(
+    site,
+    { cache: false, generateMarkdownFiles: true, copyPageButton: true, ignoreFiles: ['docs/internal/**'], ...options },
+    { allContent: content, siteConfig: { baseUrl: '/site/', ...siteConfig }, context: { baseUrl: '/site/', ...context } }
+  ));
+  return result;
+}
+
+/**
+ * Check that every URL of the global data points to a generated markdown file
+ */
+const allFilesExist = (markdownFiles) => Object.values(markdownFiles).every(url =>
+  site.outputExists(url.replace(/^\/site\//, ''))
+);
+
+runTests('Copy Page', async (check) => {
+  setupTestSite();
+
+  try {
+    // Source layout
+    const { pluginInstance, globalData } = await generate({});
+    const { markdownFiles } = globalData;
+    check('Maps pages to their markdown file', markdownFiles['/site/docs/intro'] === '/site/intro.md');
+    check('Uses the slug of the page', markdownFiles['/site/docs/guides/setup-guide'] === '/site/guides/setup-guide.md');
+    check('Maps the home page', markdownFiles['/site'] === '/site/home.md');
+    check('Leaves out ignored pages', !('/site/docs/internal/notes' in markdownFiles));
+    check('Points to the generated files', Object.keys(markdownFiles).length === 3 && allFilesExist(markdownFiles));
+
+    const themePath = pluginInstance.getThemePath?.();
+    check('Adds the theme components', themePath && fs.existsSync(path.join(themePath, 'CopyPageMarkdown', 'index.js')) && fs.existsSync(path.join(themePath, 'DocItem', 'Footer', 'index.js')));
+    check('Adds the TypeScript theme components for swizzling', fs.existsSync(path.join(pluginInstance.getTypeScriptThemePath(), 'CopyPageMarkdown', 'index.tsx')));
+
+    // Docusaurus versions without allContentLoaded only get the data of contentLoaded
+    let contentLoadedData;
+    await pluginInstance.contentLoaded({ actions: { setGlobalData: data => { contentLoadedData = data; } } });
+    check('Sets the global data in contentLoaded', contentLoadedData?.copyPageButton === true && Object.keys(contentLoadedData.markdownFiles).length === 0);
+
+    // Route layout
+    const routeData = (await generate({ markdownFilesLayout: 'route' })).globalData;
+    check('Maps pages to their route markdown file', routeData.markdownFiles['/site/docs/intro'] === '/site/docs/intro.md');
+    check('Maps the home page to index.html.md', routeData.markdownFiles['/site'] === '/site/index.html.md');
+    check('Points to the generated route files', allFilesExist(routeData.markdownFiles));
+
+    // Pages sharing a markdown file path
+    site.writeFile('docs/guides/setup-guide.md', '---\ntitle: Setup Guide\n---\n\nOther setup steps.');
+    const duplicateContent = createDocsContent([
+      page('docs/guides/setup.md', '/site/docs/guides/setup-guide', { title: 'Setup', slug: 'setup-guide' }),
+      page('docs/guides/setup-guide.md', '/site/docs/guides/setup-guide-2', { title: 'Setup Guide' }),
+    ]);
+    const duplicateData = (await generate({
+      customLLMFiles: [{ filename: 'llms-setup.txt', includePatterns: ['docs/guides/setup-guide.md'], fullContent: true }],
+    }, { content: duplicateContent })).globalData;
+    check(
+      'Maps pages sharing a path to the suffixed markdown file',
+      duplicateData.markdownFiles['/site/docs/guides/setup-guide'] === '/site/guides/setup-guide.md'
+        && duplicateData.markdownFiles['/site/docs/guides/setup-guide-2'] === '/site/guides/setup-guide-2.md'
+    );
+    check(
+      'Writes the suffixed markdown file of the page',
+      site.readOutput('guides/setup-guide.md').includes('Setup steps.')
+        && site.readOutput('guides/setup-guide-2.md').includes('Other setup steps.')
+    );
+    fs.rmSync(path.join(site.siteDir, 'docs/guides/setup-guide.md'));
+
+    // Locales without markdown files
+    const localeData = (await generate({}, {
+      siteConfig: { i18n: { defaultLocale: 'en', locales: ['en', 'fr'] } },
+      context: { i18n: { currentLocale: 'fr' } },
+    })).globalData;
+    check('Maps no pages in locales without generated files', Object.keys(localeData.markdownFiles).length === 0);
+
+    // Disabled by default
+    const disabled = await generate({ copyPageButton: undefined });
+    check('Does not add the theme components by default', disabled.pluginInstance.getThemePath === undefined && disabled.globalData === undefined);
+
+    let validationError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { copyPageButton: true } });
+    } catch (error) {
+      validationError = error;
+    }
+    check('Requires generateMarkdownFiles', validationError !== null && validationError.message.includes('generateMarkdownFiles'));
+  } finally {
+    site.remove();
+  }
+});
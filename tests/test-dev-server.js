@@ -0,0 +1,96 @@
+/**
+ * Tests for serving the generated files from the development server
+ *
+ * Run with: node tests/test-dev-server.js
+ */
+
+const path = require('path');
+const plugin = require('../lib/index').default;
+const { runTests, createTestSite, listFiles } = require('./helpers');
+
+const site = createTestSite('dev-server');
+const GENERATED_FILES_DIR = path.join(site.siteDir, '.docusaurus');
+
+function setupTestSite() {
+  site.remove();
+  site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nFirst draft.');
+}
+
+/**
+ * Send a request through a middleware
+ * @returns The response, or `next` when the middleware passed the request on
+ */
+async function request(middleware, url) {
+  const headers = {};
+  let body = null;
+  let nextCalled = false;
+  let nextError;
+  await middleware(
+    { url, method: 'GET', headers: {} },
+    {
+      setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+      end: (content) => { body = String(content); },
+    },
+    (err) => { nextCalled = true; nextError = err; }
+  );
+  return { headers, body, nextCalled, nextError };
+}
+
+runTests('Dev Server', async (check) => {
+  setupTestSite();
+
+  try {
+    const pluginInstance = plugin({
+      siteDir: site.siteDir,
+      generatedFilesDir: GENERATED_FILES_DIR,
+      siteConfig: { title: 'Test Site', tagline: 'Dev server test', url: 'https://example.com', baseUrl: '/site/' },
+      outDir: site.outDir,
+    }, {
+      generateMarkdownFiles: true,
+    });
+
+    // Webpack configuration
+    check('Leaves the server bundle alone', Object.keys(pluginInstance.configureWebpack({ mode: 'development' }, true)).length === 0);
+    check('Leaves production builds alone', Object.keys(pluginInstance.configureWebpack({ mode: 'production' }, false)).length === 0);
+    const { devServer } = pluginInstance.configureWebpack({ mode: 'development' }, false);
+    const middlewares = devServer.setupMiddlewares([], {});
+    check('Registers one middleware', middlewares.length === 1 && typeof middlewares[0].middleware === 'function');
+    const { middleware } = middlewares[0];
+
+    check(
+      'Watches the docs directory',
+      pluginInstance.getPathsToWatch().some(pattern => pattern.startsWith(path.join(site.siteDir, 'docs')))
+    );
+
+    // Serving
+    const llmsTxt = await request(middleware, '/site/llms.txt');
+    check('Serves llms.txt under the base URL', !llmsTxt.nextCalled && llmsTxt.body.includes('[Introduction]'));
+    check('Serves text files as plain text', llmsTxt.headers['content-type'] === 'text/plain; charset=utf-8');
+
+    const llmsFullTxt = await request(middleware, '/site/llms-full.txt?refresh=1');
+    check('Serves llms-full.txt', llmsFullTxt.body.includes('First draft.'));
+
+    const markdownFile = listFiles(path.join(GENERATED_FILES_DIR, 'docusaurus-plugin-llms')).find(file => file.endsWith('.md'));
+    const markdown = await request(middleware, `/site/${markdownFile}`);
+    check('Serves the individual markdown files', markdown.headers['content-type'] === 'text/markdown; charset=utf-8' && markdown.body.includes('First draft.'));
+
+    check('Passes on other requests', (await request(middleware, '/site/main.js')).nextCalled);
+    check('Passes on requests outside the base URL', (await request(middleware, '/llms.txt')).nextCalled);
+    const missing = await request(middleware, '/site/missing.txt');
+    check('Passes on files that were not generated', missing.nextCalled && missing.nextError === undefined);
+    check('Does not serve files outside the output directory', (await request(middleware, '/site/..%2F..%2Fdocs%2Fintro.md')).nextCalled);
+
+    // Invalidation
+    site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nSecond draft.');
+    check('Keeps serving the generated files until the content is reloaded', (await request(middleware, '/site/llms-full.txt')).body.includes('First draft.'));
+    await pluginInstance.allContentLoaded({ allContent: {}, actions: {} });
+    check('Generates the files again once the content is reloaded', (await request(middleware, '/site/llms-full.txt')).body.includes('Second draft.'));
+
+    // Docusaurus versions before 3.6 only call contentLoaded
+    site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nThird draft.');
+    await pluginInstance.contentLoaded({ content: undefined, actions: { setGlobalData: () => {} } });
+    check('Generates the files again once contentLoaded runs', (await request(middleware, '/site/llms-full.txt')).body.includes('Third draft.'));
+  } finally {
+    site.remove();
+  }
+});
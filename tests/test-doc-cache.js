@@ -0,0 +1,94 @@
+/**
+ * Tests for the persistent cache of processed documents
+ *
+ * Run with: node tests/test-doc-cache.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runTests, createTestSite, buildSite } = require('./helpers');
+
+const site = createTestSite('doc-cache');
+const CACHE_FILE = path.join(site.siteDir, 'node_modules', '.cache', 'docusaurus-plugin-llms', 'docs.json');
+
+// Counts the documents that go through the processing (and are not taken from the cache)
+let processedCount = 0;
+function remarkCountProcessed() {
+  return () => {
+    processedCount++;
+  };
+}
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  site.writeFile('docs/intro.md', '---\ntitle: Introduction\n---\n\nIntroduction content.');
+  site.writeFile('docs/guide.md', '---\ntitle: Guide\n---\n\nGuide content.');
+  site.writeFile(
+    'docs/setup.mdx',
+    "---\ntitle: Setup\n---\n\nimport Requirements from './_requirements.mdx';\n\n<Requirements />"
+  );
+  site.writeFile('docs/_requirements.mdx', 'Requires Node.js 18.');
+}
+
+async function generate(options = {}) {
+  processedCount = 0;
+  await buildSite(site, {
+    ignoreFiles: ['**/_*.mdx'],
+    remarkPlugins: [remarkCountProcessed],
+    customLLMFiles: [
+      { filename: 'llms-setup.txt', includePatterns: ['docs/setup.mdx'], fullContent: true },
+    ],
+    ...options,
+  });
+  return site.readOutput('llms-full.txt');
+}
+
+runTests('Document Cache', async (check) => {
+  setupTestSite();
+
+  try {
+    const firstOutput = await generate();
+    check('Processes every document on the first build', processedCount === 3);
+    check('Writes the cache to node_modules/.cache', fs.existsSync(CACHE_FILE));
+
+    const secondOutput = await generate();
+    check('Skips unchanged documents on the next build', processedCount === 0);
+    check('Generates the same files from the cache', secondOutput === firstOutput);
+
+    site.writeFile('docs/guide.md', '---\ntitle: Guide\n---\n\nUpdated guide content.');
+    const changedDocOutput = await generate();
+    check('Processes changed documents again', processedCount === 1 && changedDocOutput.includes('Updated guide content.'));
+
+    site.writeFile('docs/_requirements.mdx', 'Requires Node.js 20.');
+    const changedPartialOutput = await generate();
+    check(
+      'Processes documents importing a changed partial again',
+      processedCount === 1 && changedPartialOutput.includes('Requires Node.js 20.') && !changedPartialOutput.includes('Node.js 18')
+    );
+    check(
+      'Uses the updated document in custom files',
+      site.readOutput('llms-setup.txt').includes('Requires Node.js 20.')
+    );
+
+    await generate({ excludeImports: true });
+    check('Processes every document again when a processing option changes', processedCount === 3);
+
+    site.writeFile('package-lock.json', JSON.stringify({ packages: { 'node_modules/remark-example': { version: '1.0.0' } } }));
+    await generate();
+    await generate();
+    check('Keeps the cache while the installed packages stay the same', processedCount === 0);
+    site.writeFile('package-lock.json', JSON.stringify({ packages: { 'node_modules/remark-example': { version: '1.1.0' } } }));
+    await generate();
+    check('Processes every document again when an installed package changes', processedCount === 3);
+
+    fs.writeFileSync(CACHE_FILE, '{ not json');
+    await generate();
+    check('Ignores an unreadable cache file', processedCount === 3);
+
+    await generate({ cache: false });
+    check('Processes every document with cache: false', processedCount === 3);
+  } finally {
+    site.remove();
+  }
+});
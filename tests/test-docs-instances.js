@@ -0,0 +1,112 @@
+/**
+ * Tests for multiple docs plugin instances with custom routeBasePaths
+ *
+ * Run with: node tests/test-docs-instances.js
+ */
+
+const { runTests, createTestSite, buildSite, captureConsole, docMetadata } = require('./helpers');
+
+const site = createTestSite('docs-instances');
+
+// Three docs plugin instances, each with its own content path and routeBasePath
+const instances = {
+  default: [
+    { file: 'docs/intro.md', id: 'intro', title: 'Introduction', permalink: '/docs/intro' },
+  ],
+  api: [
+    { file: 'api/intro.md', id: 'intro', title: 'API Introduction', permalink: '/reference/intro' },
+    { file: 'api/endpoints/users.md', id: 'endpoints/users', title: 'Users Endpoint', permalink: '/reference/endpoints/users' },
+  ],
+  community: [
+    { file: 'community/support.md', id: 'support', title: 'Support', permalink: '/community/support' },
+  ],
+};
+
+function setupTestSite() {
+  site.remove();
+  for (const docs of Object.values(instances)) {
+    for (const doc of docs) {
+      site.writeFile(doc.file, `---\ntitle: ${doc.title}\n---\n\n${doc.title} content.`);
+    }
+  }
+}
+
+function createAllContent() {
+  const docsInstances = {};
+  for (const [pluginId, docs] of Object.entries(instances)) {
+    docsInstances[pluginId] = {
+      loadedVersions: [
+        {
+          versionName: 'current',
+          docs: docs.map(doc => docMetadata(doc.file, { id: doc.id, permalink: doc.permalink })),
+          sidebars: {}
+        }
+      ]
+    };
+  }
+  return { 'docusaurus-plugin-content-docs': docsInstances };
+}
+
+async function generate(options) {
+  site.resetOutput();
+  await buildSite(site, options, { allContent: createAllContent() });
+}
+
+function readOutput(filename) {
+  return site.outputExists(filename) ? site.readOutput(filename) : null;
+}
+
+runTests('Docs Instances', async (check) => {
+  setupTestSite();
+
+  try {
+    // Merged output (default)
+    await generate({});
+    const merged = readOutput('llms.txt');
+    check('Includes docs of every instance', ['Introduction', 'API Introduction', 'Users Endpoint', 'Support'].every(title => merged.includes(`[${title}]`)));
+    check('Uses the routeBasePath of each instance', merged.includes('(https://example.com/reference/endpoints/users/)') && merged.includes('(https://example.com/community/support/)'));
+    check('Keeps docs with the same id in different instances apart', merged.includes('(https://example.com/docs/intro/)') && merged.includes('(https://example.com/reference/intro/)'));
+
+    // One section per instance
+    await generate({ docsInstancesOutput: 'sections' });
+    const sections = readOutput('llms.txt');
+    const sectionIndexes = ['## Docs', '## Api', '## Community'].map(heading => sections.indexOf(`${heading}\n`));
+    check('Emits one section per instance', sectionIndexes.every((index, i) => index !== -1 && (i === 0 || index > sectionIndexes[i - 1])));
+    const topLevelHeadings = sections.match(/^## .+$/gm);
+    check(
+      'Nests categories one level below the instance sections',
+      topLevelHeadings.length === 3 && /^### /m.test(sections)
+    );
+    check('Places each doc in its instance section', sections.indexOf('[Users Endpoint]') > sectionIndexes[1] && sections.indexOf('[Users Endpoint]') < sectionIndexes[2]);
+
+    const sectionsFull = readOutput('llms-full.txt');
+    check(
+      'Groups llms-full.txt by instance',
+      sectionsFull.indexOf('## API Introduction') < sectionsFull.indexOf('## Users Endpoint') &&
+      sectionsFull.indexOf('## Users Endpoint') < sectionsFull.indexOf('## Support')
+    );
+
+    // One file per instance
+    await generate({ docsInstancesOutput: 'files' });
+    const apiFile = readOutput('llms-api.txt');
+    const apiFullFile = readOutput('llms-full-api.txt');
+    const communityFile = readOutput('llms-community.txt');
+    check('Still generates the merged llms.txt', readOutput('llms.txt').includes('[Support]'));
+    check('Generates llms-<id>.txt per instance', apiFile !== null && communityFile !== null && readOutput('llms-default.txt') !== null);
+    check('Generates llms-full-<id>.txt per instance', apiFullFile !== null && apiFullFile.includes('Users Endpoint content.'));
+    check('Limits instance files to their own docs', !apiFile.includes('[Support]') && !apiFile.includes('[Introduction]'));
+    check('Titles instance files with the instance label', apiFile.startsWith('# Test Site - Api'));
+
+    // Instance files colliding with another file are not written
+    const { output: errors } = await captureConsole(() => generate({
+      docsInstancesOutput: 'files',
+      customLLMFiles: [{ filename: 'llms-api.txt', includePatterns: ['api/**'], fullContent: false }],
+    }), ['error']);
+    check(
+      'Reports instance files colliding with other files',
+      errors.includes('"llms-api.txt" of the "api" docs instance collides with "customLLMFiles[0].filename"')
+    );
+  } finally {
+    site.remove();
+  }
+});
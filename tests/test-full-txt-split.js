@@ -0,0 +1,87 @@
+/**
+ * Tests for splitting llms-full.txt into numbered parts
+ *
+ * Run with: node tests/test-full-txt-split.js
+ */
+
+const { validateOptions } = require('../lib/index');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole, listFiles } = require('./helpers');
+
+const site = createTestSite('full-txt-split');
+
+// Each document has 200 words, so about 1,000 bytes
+const docs = ['alpha', 'beta', 'gamma', 'delta'];
+
+function setupTestSite() {
+  site.remove();
+  for (const name of docs) {
+    const body = Array.from({ length: 200 }, () => name.slice(0, 4)).join(' ');
+    site.writeFile(`docs/${name}.md`, `---\ntitle: ${name}\n---\n\n${body}`);
+  }
+}
+
+async function generate(options) {
+  site.resetOutput();
+  await captureConsole(() => buildSite(site, {
+    cache: false,
+    includeOrder: docs.map(name => `docs/${name}.md`),
+    ...options,
+  }));
+  return listFiles(site.outDir);
+}
+
+runTests('llms-full.txt Split', async (check) => {
+  setupTestSite();
+
+  try {
+    // Below the threshold
+    const unsplitFiles = await generate({ llmsFullTxtSplit: { maxSize: 100000 } });
+    check('Keeps a single llms-full.txt below the threshold', unsplitFiles.includes('llms-full.txt') && !unsplitFiles.includes('llms-full-1.txt'));
+    check('Does not add a parts section below the threshold', !site.readOutput('llms.txt').includes('Full Content Parts'));
+
+    // Split by size
+    const sizeFiles = await generate({ llmsFullTxtSplit: { maxSize: 2500 } });
+    check('Writes numbered parts instead of llms-full.txt', sizeFiles.join(',') === 'llms-full-1.txt,llms-full-2.txt,llms.txt');
+    const part1 = site.readOutput('llms-full-1.txt');
+    const part2 = site.readOutput('llms-full-2.txt');
+    check('Keeps each part within maxSize', Buffer.byteLength(part1) <= 2500 && Buffer.byteLength(part2) <= 2500);
+    check(
+      'Splits at document boundaries, in order',
+      part1.includes('## alpha') && part1.includes('## beta') && !part1.includes('## gamma') &&
+      part2.includes('## gamma') && part2.includes('## delta') && !part2.includes('## beta')
+    );
+    check('Numbers the part titles', part1.startsWith('# Test Site (Part 1 of 2)') && part2.startsWith('# Test Site (Part 2 of 2)'));
+
+    const llmsTxt = site.readOutput('llms.txt');
+    check('Adds a parts section to llms.txt', llmsTxt.includes('## Full Content Parts'));
+    check(
+      'Lists each part with its documents',
+      llmsTxt.includes('- [llms-full-1.txt](https://example.com/llms-full-1.txt): alpha to beta (2 documents)') &&
+      llmsTxt.includes('- [llms-full-2.txt](https://example.com/llms-full-2.txt): gamma to delta (2 documents)')
+    );
+
+    // Split by tokens, with a document larger than the threshold
+    const tokenFiles = await generate({
+      tokenizer: (text) => text.split(/\s+/).filter(Boolean).length,
+      llmsFullTxtSplit: { maxTokens: 150 },
+    });
+    check('Splits by token count', tokenFiles.filter(file => /^llms-full-\d\.txt$/.test(file)).length === 4);
+    check('Gives an oversized document a part of its own', site.readOutput('llms.txt').includes('): delta (1 document)'));
+
+    // Custom filename
+    const customFiles = await generate({ llmsFullTxtFilename: 'docs-full.txt', llmsFullTxtSplit: { maxSize: 2500 } });
+    check('Numbers custom full content filenames', customFiles.includes('docs-full-1.txt') && customFiles.includes('docs-full-2.txt'));
+
+    // Validation
+    let invalidError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { llmsFullTxtSplit: { maxSize: 0 } } });
+    } catch (error) {
+      invalidError = error;
+    }
+    check('Rejects a maxSize below 1', invalidError !== null);
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the chunked JSONL export
+ *
+ * Run with: node tests/test-llms-chunks.js
+ */
+
+const { validateOptions } = require('../lib/index');
+const { chunkDocument } = require('../lib/chunks');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole } = require('./helpers');
+
+const site = createTestSite('llms-chunks');
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+const words = (word, count) => Array.from({ length: count }, () => word).join(' ');
+
+const guide = `---
+title: Guide
+---
+
+# Guide
+
+Introduction to the guide.
+
+## Install
+
+Install the package.
+
+### npm
+
+\`\`\`bash
+# not a heading
+npm install example
+\`\`\`
+
+## Usage
+
+${words('first', 30)}
+
+${words('second', 30)}
+
+${words('third', 30)}
+
+## Usage
+
+Duplicate heading.
+`;
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  site.writeFile('docs/guide.md', guide);
+  site.writeFile('docs/faq.md', '---\ntitle: FAQ\n---\n\nAsk anything.\n');
+}
+
+async function generate(options) {
+  await captureConsole(() => buildSite(site, {
+    cache: false,
+    includeOrder: ['docs/guide.md', 'docs/faq.md'],
+    ...options,
+  }));
+}
+
+function readChunks(filename) {
+  return site.readOutput(filename).trim().split('\n').map(line => JSON.parse(line));
+}
+
+runTests('Chunked Export', async (check) => {
+  setupTestSite();
+
+  try {
+    await generate({});
+    check('Does not export chunks by default', !site.outputExists('llms-chunks.jsonl'));
+
+    await generate({ tokenizer: countWords, llmsChunks: { maxTokens: 60, overlap: 30 } });
+    const chunks = readChunks('llms-chunks.jsonl');
+    const llmsFullTxt = site.readOutput('llms-full.txt');
+
+    check('Writes one JSON record per line', chunks.every(chunk => typeof chunk.text === 'string' && Array.isArray(chunk.breadcrumb)));
+    check('Uses the same cleaned content as llms-full.txt', chunks.every(chunk => llmsFullTxt.includes(chunk.text)));
+
+    const intro = chunks[0];
+    check('Starts with the text before the first heading', intro.text === 'Introduction to the guide.' && intro.url === 'https://example.com/docs/guide/');
+    check('Includes the document title', chunks.filter(chunk => chunk.title === 'Guide').length === chunks.length - 1);
+
+    const npm = chunks.find(chunk => chunk.text.startsWith('### npm'));
+    check('Builds the heading breadcrumb', JSON.stringify(npm?.breadcrumb) === '["Guide","Install","npm"]');
+    check('Links to the section anchor', npm?.url === 'https://example.com/docs/guide/#npm');
+    check('Ignores headings inside code blocks', npm?.text.includes('# not a heading') && !chunks.some(chunk => chunk.breadcrumb.includes('not a heading')));
+
+    const usage = chunks.filter(chunk => chunk.url === 'https://example.com/docs/guide/#usage');
+    check('Splits sections larger than maxTokens', usage.length === 3);
+    check('Keeps chunks within maxTokens', chunks.every(chunk => chunk.tokens <= 60));
+    check('Counts tokens with the tokenizer', chunks.every(chunk => chunk.tokens === countWords(chunk.text)));
+    check(
+      'Repeats the end of the previous chunk as overlap',
+      usage[1]?.text.startsWith(words('first', 30)) && usage[2]?.text.startsWith(words('second', 30))
+    );
+    check('Gives duplicate headings unique anchors', chunks.some(chunk => chunk.url === 'https://example.com/docs/guide/#usage-1'));
+    check('Exports every document', chunks[chunks.length - 1].title === 'FAQ');
+
+    // Defaults and custom filename
+    await generate({ llmsChunks: { filename: 'rag.jsonl' } });
+    const defaultChunks = readChunks('rag.jsonl');
+    check('Supports a custom filename', defaultChunks.length > 0);
+    check('Keeps small sections whole by default', defaultChunks.filter(chunk => chunk.url.endsWith('#usage')).length === 1);
+
+    // Explicit heading ids and formatting
+    const [explicit] = chunkDocument({
+      title: 'Doc',
+      url: 'https://example.com/doc/',
+      path: 'docs/doc.md',
+      description: '',
+      content: '## The `config` **file** {#config}\n\nText.',
+    }, 100, 0);
+    check('Uses explicit heading ids and plain heading text', explicit.url === 'https://example.com/doc/#config' && explicit.breadcrumb[1] === 'The config file');
+
+    // Validation
+    let invalidError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { llmsChunks: { overlap: -1 } } });
+    } catch (error) {
+      invalidError = error;
+    }
+    check('Rejects a negative overlap', invalidError !== null);
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the expanded context files (llms-ctx.txt and llms-ctx-full.txt)
+ *
+ * Run with: node tests/test-llms-ctx.js
+ */
+
+const { validateOptions } = require('../lib/index');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { getOnlyFileOptions } = require('../lib/cli');
+const { runTests, createTestSite, buildSite, captureConsole } = require('./helpers');
+
+const site = createTestSite('llms-ctx');
+
+function setupTestSite() {
+  site.remove();
+  site.writeFile('docs/sdk/guides/_category_.json', JSON.stringify({ label: 'Guides', position: 1 }));
+  site.writeFile('docs/sdk/guides/install.md', '---\ntitle: Install & "Run"\nsidebar_position: 1\n---\n\nInstall the SDK.\n');
+  site.writeFile('docs/sdk/guides/setup.md', '---\ntitle: Setup\nsidebar_position: 2\n---\n\n# Setup\n\nConfigure the SDK.\n');
+  site.writeFile('docs/sdk/optional/changelog.md', '---\ntitle: Changelog\n---\n\nEvery release.\n');
+  site.writeFile('docs/sdk/guides/links.md', '---\ntitle: Use [links](here)\nsidebar_position: 3\n---\n\nLinks everywhere.\n');
+  site.writeFile('docs/sdk/guides/optional/faq.md', '---\ntitle: FAQ\n---\n\nFrequent questions.\n');
+}
+
+async function generate(options) {
+  site.resetOutput();
+  await captureConsole(() => buildSite(site, { cache: false, ...options }, { siteConfig: { tagline: 'Context <test>' } }));
+}
+
+runTests('Expanded Context File', async (check) => {
+  setupTestSite();
+
+  try {
+    await generate({});
+    check('Does not generate the context files by default', !site.outputExists('llms-ctx.txt') && !site.outputExists('llms-ctx-full.txt'));
+
+    await generate({ generateLLMsCtx: true, generateLLMsCtxFull: true, version: '2.0' });
+    const ctx = site.readOutput('llms-ctx.txt');
+    const ctxFull = site.readOutput('llms-ctx-full.txt');
+    check('Wraps the documents in a project element', ctx.startsWith('<project title="Test Site" summary="Context &lt;test&gt;" version="2.0">\n') && ctx.endsWith('</project>\n'));
+    check('Inlines the content of each document', ctx.includes('<doc title="Setup" url="https://example.com/docs/sdk/guides/setup/">\n# Setup\n\nConfigure the SDK.\n</doc>'));
+    check('Escapes attribute values', ctx.includes('<doc title="Install &amp; &quot;Run&quot;"'));
+    check('Groups the documents like llms.txt', ctx.includes('<section title="Guides">\n<doc title="Install') && ctx.indexOf('title="Install') < ctx.indexOf('title="Setup"'));
+    check('Leaves the Optional section out of llms-ctx.txt', !ctx.includes('Changelog') && !ctx.includes('Every release.'));
+    check('Includes the Optional section in llms-ctx-full.txt', ctxFull.includes('<section title="Optional">\n<doc title="Changelog"') && ctxFull.includes('Every release.'));
+    check('Inlines documents whose title looks like a link', ctx.includes('<doc title="Use [links](here)"') && ctx.includes('Links everywhere.'));
+    check('Leaves nested Optional sections out of llms-ctx.txt', !ctx.includes('Frequent questions.') && ctxFull.includes('Frequent questions.'));
+    check('Links the same sections from llms.txt', site.readOutput('llms.txt').includes('## Optional') && site.readOutput('llms.txt').includes('## Guides'));
+
+    await generate({ generateLLMsCtx: true, llmsCtxFilename: 'context.txt', rootContent: 'Read these docs first.' });
+    check('Uses the custom filename', site.outputExists('context.txt') && !site.outputExists('llms-ctx.txt') && !site.outputExists('llms-ctx-full.txt'));
+    check('Includes the custom root content', site.readOutput('context.txt').split('\n')[1] === 'Read these docs first.');
+
+    await generate({
+      generateLLMsCtxFull: true,
+      transformOutput: (content, { filename, fullContent }) => filename === 'llms-ctx-full.txt' && fullContent ? `${content}<!-- ctx -->\n` : content,
+    });
+    check('Runs transformOutput on the context files', site.readOutput('llms-ctx-full.txt').endsWith('<!-- ctx -->\n'));
+
+    const onlyOptions = getOnlyFileOptions({ generateLLMsCtx: true }, 'llms-ctx.txt');
+    check('Supports --only for the context files', onlyOptions.generateLLMsCtx === true && onlyOptions.generateLLMsTxt === false && onlyOptions.generateLLMsCtxFull === false);
+
+    let collisionError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { generateLLMsCtx: true, llmsCtxFilename: 'llms.txt' } });
+    } catch (error) {
+      collisionError = error;
+    }
+    check('Rejects a filename colliding with llms.txt', collisionError !== null && collisionError.message.includes('llmsCtxFilename'));
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the llms.json manifest
+ *
+ * Run with: node tests/test-llms-json.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { validateOptions } = require('../lib/index');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('llms-json');
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  site.writeFile('docs/sdk/start/_category_.json', JSON.stringify({ label: 'Getting Started', position: 1 }));
+  site.writeFile('docs/sdk/start/release-notes/_category_.json', JSON.stringify({ label: 'Release Notes' }));
+  site.writeFile('docs/sdk/start/intro.md', '---\ntitle: Introduction\ndescription: Start here\ntags: [basics]\nauthor: Jane\n---\n\nWelcome to the SDK.\n');
+  site.writeFile('docs/sdk/start/release-notes/unity.md', '---\ntitle: Unity\nlast_update:\n  date: 2024-01-02\n---\n\nUnity release notes.\n');
+  site.writeFile('docs/sdk/access/android.md', '---\ntitle: Android\n---\n\nAndroid access.\n');
+
+  // A fixed modification time for the documents without a last update date
+  const modified = new Date('2023-05-06T07:08:09.000Z');
+  fs.utimesSync(path.join(site.siteDir, 'docs/sdk/start/intro.md'), modified, modified);
+}
+
+// Sidebar grouping the documents differently from their paths
+const sidebars = {
+  main: [
+    { type: 'doc', id: 'sdk/start/intro' },
+    {
+      type: 'category',
+      label: 'Platforms',
+      items: [
+        { type: 'doc', id: 'sdk/access/android' },
+        { type: 'category', label: 'Engines', items: [{ type: 'doc', id: 'sdk/start/release-notes/unity' }] },
+      ],
+    },
+  ],
+};
+
+function createAllContent() {
+  const docIds = ['sdk/start/intro', 'sdk/start/release-notes/unity', 'sdk/access/android'];
+  return createDocsContent(docIds.map(id => docMetadata(`docs/${id}.md`)), { sidebars });
+}
+
+async function generate(options, allContent) {
+  await captureConsole(() => buildSite(site, {
+    cache: false,
+    includeOrder: ['docs/sdk/start/intro.md', 'docs/sdk/start/**', 'docs/sdk/access/**'],
+    ...options,
+  }, { allContent, siteConfig: { tagline: 'Manifest test' } }));
+}
+
+runTests('llms.json Manifest', async (check) => {
+  setupTestSite();
+
+  try {
+    const transformedDocs = [];
+    await generate({ transformDoc: doc => { transformedDocs.push(doc); return doc; } });
+    check('Does not generate llms.json by default', !site.outputExists('llms.json'));
+    check('Does not look up modification dates without llms.json', transformedDocs.length > 0 && transformedDocs.every(doc => !('lastModified' in doc)));
+
+    await generate({ generateLLMsJson: true, keepFrontMatter: ['tags'], version: '2.0' });
+    const manifest = JSON.parse(site.readOutput('llms.json'));
+    check('Includes the site metadata', manifest.title === 'Test Site' && manifest.description === 'Manifest test' && manifest.version === '2.0');
+    check('Lists the documents in llms-full.txt order', manifest.docs.map(doc => doc.title).join(',') === 'Introduction,Unity,Android');
+
+    const [intro, unity, android] = manifest.docs;
+    check(
+      'Includes the title, url, description and path',
+      intro.url === 'https://example.com/docs/sdk/start/intro/' && intro.description === 'Start here' && intro.path === 'docs/sdk/start/intro.md'
+    );
+    check('Uses the category labels of llms.txt', intro.category === 'Getting Started' && android.category === 'Access');
+    check('Includes the subcategory', unity.subcategory === 'Release Notes' && intro.subcategory === null);
+    check('Keeps only the front matter items of keepFrontMatter', JSON.stringify(intro.frontMatter) === '{"tags":["basics"]}' && JSON.stringify(android.frontMatter) === '{}');
+
+    const llmsFullTxt = site.readOutput('llms-full.txt');
+    check('Counts the tokens of the content', intro.tokens > 0 && intro.tokens < 20 && llmsFullTxt.includes('Welcome to the SDK.'));
+    check('Hashes the content', /^[0-9a-f]{64}$/.test(intro.contentHash) && intro.contentHash !== android.contentHash);
+    check('Uses the last_update front matter date', unity.lastModified === '2024-01-02T00:00:00.000Z');
+    check('Falls back to the file modification time', intro.lastModified === '2023-05-06T07:08:09.000Z');
+
+    // Markdown files in the source layout do not change the path and category
+    await generate({ generateLLMsJson: true, generateMarkdownFiles: true });
+    const withMarkdown = JSON.parse(site.readOutput('llms.json')).docs;
+    check('Uses the source path with generateMarkdownFiles', withMarkdown[0].path === 'docs/sdk/start/intro.md' && withMarkdown[0].url.endsWith('/sdk/start/intro.md'));
+    check('Uses the source categories with generateMarkdownFiles', withMarkdown[0].category === 'Getting Started' && withMarkdown[1].subcategory === 'Release Notes');
+
+    // Sidebar grouping
+    await generate({ generateLLMsJson: true, sidebar: 'main' }, createAllContent());
+    const sidebarDocs = JSON.parse(site.readOutput('llms.json')).docs;
+    const byTitle = Object.fromEntries(sidebarDocs.map(doc => [doc.title, doc]));
+    check('Uses the sidebar sections of llms.txt', byTitle.Android.category === 'Platforms' && byTitle.Android.subcategory === null && byTitle.Introduction.category === 'Docs');
+    check('Uses the nested sidebar categories as subcategory', byTitle.Unity.category === 'Platforms' && byTitle.Unity.subcategory === 'Engines');
+
+    // Hash changes with the content
+    site.writeFile('docs/sdk/access/android.md', '---\ntitle: Android\n---\n\nAndroid access, updated.\n');
+    await generate({ generateLLMsJson: true, llmsJsonFilename: 'docs-manifest.json' });
+    const updated = JSON.parse(site.readOutput('docs-manifest.json'));
+    check('Supports a custom filename', updated.docs.length === 3);
+    check('Changes the hash when the content changes', updated.docs[2].contentHash !== android.contentHash);
+    check(
+      'Hashes the processed content with SHA-256',
+      updated.docs[0].contentHash === createHash('sha256').update('Welcome to the SDK.').digest('hex')
+    );
+
+    // Validation
+    let collisionError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { generateLLMsJson: true, llmsJsonFilename: 'llms.txt' } });
+    } catch (error) {
+      collisionError = error;
+    }
+    check('Rejects a filename that collides with llms.txt', collisionError !== null);
+  } finally {
+    site.remove();
+  }
+});
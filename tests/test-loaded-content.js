@@ -0,0 +1,99 @@
+/**
+ * Tests for using the content loaded by the Docusaurus docs plugin
+ *
+ * The plugin should take permalinks, ids and sidebar positions from the docs plugin
+ * instead of guessing URLs from file paths.
+ *
+ * Run with: node tests/test-loaded-content.js
+ */
+
+const plugin = require('../lib/index').default;
+const { runTests, createTestSite, buildSite, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('loaded-content');
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+
+  site.writeFile('docs/01-intro.md', '---\ntitle: Introduction\n---\n\nWelcome.');
+  site.writeFile('docs/guides/nested/setup.md', '---\ntitle: Setup\nslug: /custom/setup-guide\n---\n\nSetup steps.');
+  site.writeFile('docs/guides/nested/advanced.md', '---\ntitle: Advanced\n---\n\nAdvanced steps.');
+  site.writeFile('docs/guides/hidden.md', '---\ntitle: Hidden\nunlisted: true\n---\n\nHidden page.');
+  site.writeFile('docs/guides/wip.md', '---\ntitle: Work in progress\n---\n\nNot ready.');
+  site.writeFile('blog/2024-01-01-hello.md', '---\ntitle: Hello Blog\n---\n\nFirst post.');
+}
+
+function createAllContent() {
+  return {
+    ...createDocsContent([
+      docMetadata('docs/01-intro.md', { id: 'intro', permalink: '/docs/intro', sidebarPosition: 1 }),
+      docMetadata('docs/guides/nested/setup.md', { permalink: '/docs/custom/setup-guide', sidebarPosition: 2 }),
+      docMetadata('docs/guides/nested/advanced.md', { permalink: '/docs/guides/nested/advanced', sidebarPosition: 1 }),
+      docMetadata('docs/guides/hidden.md', { permalink: '/docs/guides/hidden', unlisted: true }),
+      docMetadata('docs/guides/wip.md', { permalink: '/docs/guides/wip', draft: true }),
+    ]),
+    'docusaurus-plugin-content-blog': {
+      default: {
+        blogPosts: [
+          {
+            id: '/hello',
+            metadata: {
+              source: '@site/blog/2024-01-01-hello.md',
+              permalink: '/blog/hello',
+              unlisted: false
+            }
+          }
+        ]
+      }
+    }
+  };
+}
+
+runTests('Loaded Content', async (check) => {
+  setupTestSite();
+
+  try {
+    // Content captured through the allContentLoaded lifecycle
+    await buildSite(site, { includeBlog: true }, { allContent: createAllContent() });
+
+    const llmsTxt = site.readOutput('llms.txt');
+    const llmsFullTxt = site.readOutput('llms-full.txt');
+
+    check('Uses permalink for numbered prefix files', llmsTxt.includes('(https://example.com/docs/intro/)'));
+    check('Uses permalink for custom slugs in nested folders', llmsTxt.includes('(https://example.com/docs/custom/setup-guide/)'));
+    check('Uses permalink for blog posts', llmsTxt.includes('(https://example.com/blog/hello/)'));
+    check('Excludes unlisted docs', !llmsTxt.includes('Hidden') && !llmsFullTxt.includes('Hidden page.'));
+    check('Excludes draft docs', !llmsTxt.includes('Work in progress') && !llmsFullTxt.includes('Not ready.'));
+    check(
+      'Orders docs by the sidebar position resolved by Docusaurus',
+      llmsTxt.indexOf('[Advanced]') !== -1 && llmsTxt.indexOf('[Advanced]') < llmsTxt.indexOf('[Setup]')
+    );
+
+    // Content taken from the loaded plugins passed to postBuild
+    site.resetOutput();
+    const allContent = createAllContent();
+    const fallbackInstance = plugin({
+      siteDir: site.siteDir,
+      siteConfig: { title: 'Test Site', tagline: 'Testing loaded content', url: 'https://example.com', baseUrl: '/' },
+      outDir: site.outDir,
+    }, { generateLLMsFullTxt: false });
+    await fallbackInstance.postBuild({
+      routes: [],
+      routesPaths: [],
+      plugins: [
+        {
+          name: 'docusaurus-plugin-content-docs',
+          options: { id: 'default' },
+          content: allContent['docusaurus-plugin-content-docs'].default
+        }
+      ]
+    });
+
+    const fallbackLlmsTxt = site.readOutput('llms.txt');
+    check('Reads docs plugin content from postBuild props', fallbackLlmsTxt.includes('(https://example.com/docs/custom/setup-guide/)'));
+    check('Leaves blog posts out unless includeBlog is set', !fallbackLlmsTxt.includes('Hello Blog'));
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the MDX AST-based content cleaning pipeline (cleaningMode: 'mdx')
+ *
+ * Run with: node tests/test-mdx-cleaning.js
+ */
+
+const path = require('path');
+const { processMarkdownFile } = require('../lib/processor');
+const { cleanMarkdownContent } = require('../lib/utils');
+const { runTests, createTestSite, captureConsole } = require('./helpers');
+
+const site = createTestSite('mdx-cleaning');
+
+const page = `---
+title: Configuration
+---
+
+import Highlight from '@site/src/components/Highlight';
+import {
+  Foo,
+  Bar,
+} from '@site/src/components';
+export const minVersion = '18.0';
+export const settings = {
+  retries: 3,
+};
+
+## Requirements {#requirements}
+
+Node.js {minVersion} or newer is required. {/* TODO: mention Bun */}
+
+<div className="callout">
+  <Highlight color="#25c2a0">Tip:</Highlight> keep your config in <code>docusaurus.config.js</code>.
+
+  - Works with ESM
+  - Works with CommonJS
+</div>
+
+<DocCardList />
+
+Unknown value: {settings.retries}
+
+\`\`\`js
+import config from './config';
+export const x = <div>{value}</div>;
+
+
+// two blank lines above are kept
+\`\`\`
+`;
+
+const invalidPage = `---
+title: Plain Markdown
+---
+
+Some text <!-- an HTML comment --> here.
+
+<div>Wrapped</div>
+`;
+
+runTests('MDX Cleaning', async (check) => {
+  site.remove();
+  site.writeFile('docs/config.mdx', page);
+  site.writeFile('docs/plain.md', invalidPage);
+
+  try {
+    const process = (file, cleaningMode) => processMarkdownFile(
+      path.join(site.siteDir, 'docs', file), site.siteDir, 'https://example.com', 'docs',
+      undefined, false, false, undefined, undefined, { cleaningMode }
+    );
+
+    const doc = await process('config.mdx', 'mdx');
+    const content = doc.content;
+    const codeBlock = "```js\nimport config from './config';\nexport const x = <div>{value}</div>;\n\n\n// two blank lines above are kept\n```";
+
+    check('Removes multi-line imports and exports', !content.includes('import Highlight') && !content.includes('Bar,') && !content.includes('retries: 3'));
+    check('Evaluates expressions using literal constants', content.includes('Node.js 18.0 or newer is required.'));
+    check('Removes JSX comments and unknown expressions', !content.includes('TODO') && !content.includes('settings.retries'));
+    check('Unwraps JSX elements and keeps their children', content.includes('Tip: keep your config in docusaurus.config.js.'));
+    check('Dedents the children of flow elements', content.includes('\n- Works with ESM\n- Works with CommonJS'));
+    check('Removes JSX elements without children', !content.includes('DocCardList'));
+    check('Removes explicit heading ids', content.includes('## Requirements\n'));
+    check('Never touches code blocks', content.includes(codeBlock));
+
+    const { result: fallback, output: warnings } = await captureConsole(() => process('plain.md', 'mdx'), ['warn']);
+    check('Falls back to regex cleaning for invalid MDX', fallback.content.includes('Wrapped') && warnings.includes('plain.md'));
+
+    const regexDoc = await process('config.mdx', 'regex');
+    check('Keeps the regex cleaning by default', regexDoc.content.includes('{minVersion}'));
+
+    // The regex cleaning leaves code blocks untouched as well
+    const cleaned = cleanMarkdownContent("import A from 'a';\n\n```js\nimport B from 'b';\n<div>html</div>\n```", true);
+    check('Keeps import lines and HTML in code blocks when excluding imports', cleaned === "```js\nimport B from 'b';\n<div>html</div>\n```");
+  } finally {
+    site.remove();
+  }
+});
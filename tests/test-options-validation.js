@@ -0,0 +1,168 @@
+/**
+ * Tests for plugin option validation
+ *
+ * Run with: node tests/test-options-validation.js
+ */
+
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { validateOptions } = require('../lib/index');
+
+// Run validation the same way Docusaurus does when loading the site config
+function validate(options) {
+  return validateOptions({ validate: normalizePluginOptions, options });
+}
+
+const customFile = (overrides = {}) => ({
+  filename: 'llms-api.txt',
+  includePatterns: ['docs/api/**'],
+  fullContent: true,
+  ...overrides
+});
+
+const testCases = [
+  {
+    name: 'Accepts missing options',
+    options: undefined,
+  },
+  {
+    name: 'Accepts a complete valid configuration',
+    options: {
+      generateLLMsTxt: true,
+      generateLLMsFullTxt: false,
+      docsDir: 'docs',
+      ignoreFiles: ['private/**'],
+      title: 'Docs',
+      description: '',
+      includeBlog: true,
+      pathTransformation: { ignorePaths: ['docs'], addPaths: ['api'] },
+      includeOrder: ['intro/*'],
+      includeUnmatchedLast: false,
+      customLLMFiles: [customFile({ title: 'API', version: '1.0.0' })],
+      version: '2.0.0',
+      excludeImports: true,
+      removeDuplicateHeadings: true,
+      generateMarkdownFiles: true,
+      keepFrontMatter: ['title'],
+      rootContent: 'Root',
+      fullRootContent: 'Full root',
+      includeDescriptionInLinks: false,
+    },
+  },
+  {
+    name: 'Rejects misspelled option names',
+    options: { includeDecriptionInLinks: false },
+    expectedError: '"includeDecriptionInLinks" is not allowed',
+  },
+  {
+    name: 'Rejects options with the wrong type',
+    options: { generateLLMsTxt: 'yes' },
+    expectedError: '"generateLLMsTxt" must be a boolean',
+  },
+  {
+    name: 'Reports the path of invalid nested values',
+    options: { pathTransformation: { ignorePaths: ['docs', 1] } },
+    expectedError: '"pathTransformation.ignorePaths[1]" must be a string',
+  },
+  {
+    name: 'Rejects custom files without a filename',
+    options: { customLLMFiles: [customFile({ filename: undefined })] },
+    expectedError: '"customLLMFiles[0].filename" is required',
+  },
+  {
+    name: 'Rejects unknown keys in custom files',
+    options: { customLLMFiles: [customFile({ includePattern: ['docs/**'] })] },
+    expectedError: '"customLLMFiles[0].includePattern" is not allowed',
+  },
+  {
+    name: 'Rejects duplicate custom filenames',
+    options: { customLLMFiles: [customFile(), customFile()] },
+    expectedError: '"customLLMFiles[1].filename" ("llms-api.txt") collides with "customLLMFiles[0].filename"',
+  },
+  {
+    name: 'Rejects custom filenames colliding with the default llms.txt',
+    options: { customLLMFiles: [customFile({ filename: 'llms.txt' })] },
+    expectedError: '"customLLMFiles[0].filename" ("llms.txt") collides with "llmsTxtFilename"',
+  },
+  {
+    name: 'Rejects custom filenames colliding with a custom llmsFullTxtFilename',
+    options: {
+      llmsFullTxtFilename: 'everything.txt',
+      customLLMFiles: [customFile({ filename: 'everything.txt' })]
+    },
+    expectedError: '"customLLMFiles[0].filename" ("everything.txt") collides with "llmsFullTxtFilename"',
+  },
+  {
+    name: 'Rejects filenames with directories',
+    options: { llmsTxtFilename: 'docs/llms.txt' },
+    expectedError: '"llmsTxtFilename" must be a file name without directories ("docs/llms.txt")',
+  },
+  {
+    name: 'Rejects custom filenames leaving the output directory',
+    options: { customLLMFiles: [customFile({ filename: '../llms-api.txt' })] },
+    expectedError: '"customLLMFiles[0].filename" must be a file name without directories ("../llms-api.txt")',
+  },
+  {
+    name: 'Rejects parent directory filenames',
+    options: { llmsCtxFilename: '..' },
+    expectedError: '"llmsCtxFilename" must be a file name without directories ("..")',
+  },
+  {
+    name: 'Rejects absolute filenames',
+    options: { llmsChunks: { filename: '/tmp/chunks.jsonl' } },
+    expectedError: '"llmsChunks.filename" must be a file name without directories ("/tmp/chunks.jsonl")',
+  },
+  {
+    name: 'Rejects filenames colliding with the parts of a split llms-full.txt',
+    options: { llmsFullTxtSplit: { maxSize: 1000 }, customLLMFiles: [customFile({ filename: 'llms-full-2.txt' })] },
+    expectedError: '"customLLMFiles[0].filename" ("llms-full-2.txt") collides with a part of "llmsFullTxtFilename" split by "llmsFullTxtSplit"',
+  },
+  {
+    name: 'Rejects splitting llms-full.txt without a limit',
+    options: { llmsFullTxtSplit: {} },
+    expectedError: '"llmsFullTxtSplit" must contain at least one of [maxSize, maxTokens]',
+  },
+  {
+    name: 'Accepts split-like filenames when llms-full.txt is not split',
+    options: { customLLMFiles: [customFile({ filename: 'llms-full-2.txt' })] },
+  },
+  {
+    name: 'Rejects identical standard filenames',
+    options: { llmsTxtFilename: 'llms.txt', llmsFullTxtFilename: 'llms.txt' },
+    expectedError: '"llmsFullTxtFilename" must differ from "llmsTxtFilename" (both are "llms.txt")',
+  },
+];
+
+function runTests() {
+  console.log('Running option validation tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    let errorMessage = null;
+    try {
+      validate(testCase.options);
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const expected = testCase.expectedError || null;
+    if (errorMessage === expected) {
+      console.log(`✅ PASS: ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ${testCase.name}`);
+      console.log(`   Expected: ${expected === null ? 'no error' : expected}`);
+      console.log(`   Got:      ${errorMessage === null ? 'no error' : errorMessage}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nOption Validation Results: ${passed} passed, ${failed} failed out of ${testCases.length} tests.`);
+
+  return failed === 0;
+}
+
+if (!runTests()) {
+  process.exit(1);
+}
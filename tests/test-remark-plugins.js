@@ -0,0 +1,123 @@
+/**
+ * Tests for user-supplied remark plugins (beforeDefaultRemarkPlugins/remarkPlugins)
+ *
+ * Run with: node tests/test-remark-plugins.js
+ */
+
+const { validateOptions } = require('../lib/index');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole, listFiles } = require('./helpers');
+
+const site = createTestSite('remark-plugins');
+
+const page = `---
+title: Widgets
+---
+
+# Widgets
+
+<ApiVersion since="2.1" />
+
+Widgets render things.
+
+## Usage
+
+Call \`render()\`.
+`;
+
+// Valid CommonMark, but not valid MDX (HTML comment and stray brace)
+const markdownPage = `---
+title: Notes
+---
+
+# Notes
+
+Short summary.
+
+<!-- truncate -->
+
+Use {braces} freely.
+`;
+
+/**
+ * Rewrites the custom <ApiVersion since="x" /> component into a sentence
+ */
+function remarkApiVersion() {
+  return (tree) => {
+    tree.children = tree.children.map(node => {
+      if (node.type === 'mdxJsxFlowElement' && node.name === 'ApiVersion') {
+        const since = node.attributes.find(attribute => attribute.name === 'since').value;
+        return { type: 'paragraph', children: [{ type: 'text', value: `Available since version ${since}.` }] };
+      }
+      return node;
+    });
+  };
+}
+
+/**
+ * Appends a suffix to every heading, configured through plugin options
+ */
+function remarkHeadingSuffix(options) {
+  return (tree) => {
+    for (const node of tree.children) {
+      if (node.type === 'heading') {
+        node.children.push({ type: 'text', value: options.suffix });
+      }
+    }
+  };
+}
+
+runTests('Remark Plugins', async (check) => {
+  site.remove();
+  site.resetOutput();
+  site.writeFile('docs/widgets.mdx', page);
+
+  try {
+    await buildSite(site, {
+      generateMarkdownFiles: true,
+      beforeDefaultRemarkPlugins: [remarkApiVersion],
+      remarkPlugins: [[remarkHeadingSuffix, { suffix: ' (LLM)' }]],
+    });
+
+    const llmsFullTxt = site.readOutput('llms-full.txt');
+    check('Runs beforeDefaultRemarkPlugins on the MDX tree', llmsFullTxt.includes('Available since version 2.1.') && !llmsFullTxt.includes('<ApiVersion'));
+    check('Runs remarkPlugins with their options', llmsFullTxt.includes('## Usage (LLM)'));
+    check('Keeps the rest of the document', llmsFullTxt.includes('Widgets render things.') && llmsFullTxt.includes('Call `render()`.'));
+
+    const markdownFiles = listFiles(site.outDir).filter(file => file.endsWith('.md'));
+    const markdownFile = markdownFiles.length > 0 ? site.readOutput(markdownFiles[0]) : '';
+    check('Applies the plugins to the individual markdown files', markdownFile.includes('Available since version 2.1.') && markdownFile.includes('## Usage (LLM)'));
+
+    // Plain .md files are parsed as Markdown with the `detect` format, as Docusaurus does
+    site.writeFile('docs/notes.md', markdownPage);
+    const generateNotes = async (markdown) => {
+      site.resetOutput();
+      const { output: warnings } = await captureConsole(() => buildSite(site, {
+        cache: false,
+        beforeDefaultRemarkPlugins: [[remarkHeadingSuffix, { suffix: ' (before)' }]],
+      }, { siteConfig: { markdown } }), ['warn']);
+      return { llmsFullTxt: site.readOutput('llms-full.txt'), warnings };
+    };
+
+    const detected = await generateNotes({ format: 'detect' });
+    check('Parses .md files as Markdown with the detect format', detected.llmsFullTxt.includes('# Notes (before)') && detected.llmsFullTxt.includes('Use {braces} freely.'));
+    check('Still parses .mdx files as MDX with the detect format', detected.llmsFullTxt.includes('Widgets render things.') && !detected.warnings.includes('widgets.mdx'));
+
+    const fallback = await generateNotes(undefined);
+    check('Keeps documents that cannot be parsed as MDX', fallback.llmsFullTxt.includes('Use {braces} freely.') && !fallback.llmsFullTxt.includes('# Notes (before)'));
+    check('Warns about documents that cannot be parsed as MDX', /notes\.md as MDX/.test(fallback.warnings));
+
+    // Plugin entries are validated like in the Docusaurus content plugins
+    const validate = (options) => validateOptions({ validate: normalizePluginOptions, options });
+    let invalidError = null;
+    try {
+      validate({ remarkPlugins: ['remark-math'] });
+    } catch (error) {
+      invalidError = error;
+    }
+    check('Rejects invalid plugin entries', invalidError !== null && /valid MDX plugin config/.test(invalidError.message));
+    check('Accepts plugins and plugin tuples', validate({ beforeDefaultRemarkPlugins: [remarkApiVersion], remarkPlugins: [[remarkHeadingSuffix, {}]] }).remarkPlugins.length === 1);
+  } finally {
+    site.remove();
+  }
+});
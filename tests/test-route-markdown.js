@@ -0,0 +1,73 @@
+/**
+ * Tests for the markdown twins written at the page routes (markdownFilesLayout: 'route')
+ *
+ * Run with: node tests/test-route-markdown.js
+ */
+
+const { validateOptions } = require('../lib/index');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('route-markdown');
+
+function setupTestSite() {
+  site.remove();
+  site.writeFile('docs/home.md', '---\ntitle: Home\nslug: /\n---\n\nWelcome home.');
+  site.writeFile('docs/01-intro.md', '---\ntitle: Introduction\ntags: [start]\n---\n\nIntroduction text.');
+  site.writeFile('docs/guides/nested/setup.md', '---\ntitle: Setup\nslug: /custom/setup-guide\n---\n\nSetup steps.');
+}
+
+const allContent = createDocsContent([
+  docMetadata('docs/home.md', { permalink: '/site/' }),
+  docMetadata('docs/01-intro.md', { permalink: '/site/docs/intro' }),
+  docMetadata('docs/guides/nested/setup.md', { permalink: '/site/docs/custom/setup-guide' }),
+]);
+
+async function generate(siteConfigOverrides, options) {
+  site.resetOutput();
+  await captureConsole(() => buildSite(
+    site,
+    { cache: false, generateMarkdownFiles: true, markdownFilesLayout: 'route', ...options },
+    { allContent, siteConfig: { baseUrl: '/site/', ...siteConfigOverrides } }
+  ));
+}
+
+runTests('Route Markdown', async (check) => {
+  setupTestSite();
+
+  try {
+    await generate({}, { keepFrontMatter: ['tags'] });
+
+    check('Writes <route>.md for each page', site.outputExists('docs/intro.md') && site.outputExists('docs/custom/setup-guide.md'));
+    check('Writes <route>/index.html.md for directory pages', site.outputExists('docs/intro/index.html.md') && site.outputExists('docs/custom/setup-guide/index.html.md'));
+    check('Writes index.html.md for the home page', site.outputExists('index.html.md') && !site.outputExists('.md'));
+    check('Does not write files at source paths', !site.outputExists('01-intro.md') && !site.outputExists('guides/nested/setup.md'));
+
+    const intro = site.readOutput('docs/intro.md');
+    check('Writes the processed content', intro.includes('# Introduction') && intro.includes('Introduction text.'));
+    check('Keeps the front matter of keepFrontMatter', intro.startsWith('---\ntags:'));
+    check('Writes the same content to both files', intro === site.readOutput('docs/intro/index.html.md'));
+
+    const llmsTxt = site.readOutput('llms.txt');
+    check('Links llms.txt to the route markdown files', llmsTxt.includes('(https://example.com/site/docs/intro.md)') && llmsTxt.includes('(https://example.com/site/docs/custom/setup-guide.md)'));
+    check('Links the home page to index.html.md', llmsTxt.includes('(https://example.com/site/index.html.md)'));
+
+    // Pages built as <route>.html
+    await generate({ trailingSlash: false }, {});
+    check('Only writes <route>.md without trailing slashes', site.outputExists('docs/intro.md') && !site.outputExists('docs/intro/index.html.md'));
+
+    // Default layout
+    await generate({}, { markdownFilesLayout: undefined });
+    check('Keeps source paths by default', site.outputExists('01-intro.md') && !site.outputExists('docs/intro/index.html.md'));
+
+    let invalidError = null;
+    try {
+      validateOptions({ validate: normalizePluginOptions, options: { markdownFilesLayout: 'flat' } });
+    } catch (error) {
+      invalidError = error;
+    }
+    check('Rejects unknown layouts', invalidError !== null);
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for processing each document once and sharing it across all outputs
+ *
+ * Run with: node tests/test-shared-processing.js
+ */
+
+const path = require('path');
+const { runTests, createTestSite, buildSite } = require('./helpers');
+
+const site = createTestSite('shared-processing');
+
+const docs = {
+  'docs/intro.md': 'Introduction',
+  'docs/guides/install.md': 'Installation',
+  'docs/guides/deploy.md': 'Deployment',
+  'docs/api/users.md': 'Users API',
+  'docs/api/orders.md': 'Orders API',
+};
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  for (const [file, title] of Object.entries(docs)) {
+    site.writeFile(file, `---\ntitle: ${title}\n---\n\n${title} content.`);
+  }
+}
+
+runTests('Shared Processing', async (check) => {
+  setupTestSite();
+
+  try {
+    const processedFiles = [];
+    await buildSite(site, {
+      cache: false,
+      generateMarkdownFiles: true,
+      customLLMFiles: [
+        { filename: 'llms-guides.txt', includePatterns: ['docs/guides/**'], orderPatterns: ['docs/guides/deploy.md'], includeUnmatchedLast: true, fullContent: true },
+        { filename: 'llms-api.txt', includePatterns: ['docs/api/**'], ignorePatterns: ['docs/api/orders.md'], fullContent: false },
+        { filename: 'llms-everything.txt', includePatterns: ['docs/**'], fullContent: true },
+      ],
+      transformDoc: (doc, ctx) => {
+        processedFiles.push(path.relative(site.siteDir, ctx.filePath));
+        return doc;
+      },
+    });
+
+    check('Processes each document once for all outputs', processedFiles.length === Object.keys(docs).length);
+    check('Processes every document', Object.keys(docs).every(file => processedFiles.includes(file)));
+
+    const guides = site.readOutput('llms-guides.txt');
+    check('Filters custom files by include pattern', guides.includes('## Installation') && !guides.includes('## Users API'));
+    check('Orders custom files by their order patterns', guides.indexOf('## Deployment') < guides.indexOf('## Installation'));
+
+    const api = site.readOutput('llms-api.txt');
+    check('Applies the ignore patterns of custom files', api.includes('[Users API]') && !api.includes('[Orders API]'));
+
+    const everything = site.readOutput('llms-everything.txt');
+    check('Shares the documents with overlapping custom files', Object.values(docs).every(title => everything.includes(`## ${title}`)));
+
+    const llmsTxt = site.readOutput('llms.txt');
+    check('Keeps the documents of the standard files intact', Object.values(docs).every(title => llmsTxt.includes(`[${title}]`)));
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for sidebar-driven ordering and grouping
+ *
+ * Run with: node tests/test-sidebar-organization.js
+ */
+
+const { runTests, createTestSite, buildSite, docMetadata, createDocsContent } = require('./helpers');
+
+const site = createTestSite('sidebar-organization');
+
+const docs = [
+  { file: 'docs/intro.md', id: 'intro', title: 'Introduction' },
+  { file: 'docs/guides/install.md', id: 'guides/install', title: 'Install' },
+  { file: 'docs/guides/configure.md', id: 'guides/configure', title: 'Configure' },
+  { file: 'docs/guides/deploy/overview.md', id: 'guides/deploy/overview', title: 'Deploy Overview' },
+  { file: 'docs/guides/deploy/cloud.md', id: 'guides/deploy/cloud', title: 'Cloud' },
+  { file: 'docs/reference/cli.md', id: 'reference/cli', title: 'CLI' },
+  { file: 'docs/orphan.md', id: 'orphan', title: 'Orphan Page' },
+];
+
+// Sidebar in the shape produced by the Docusaurus docs plugin
+const sidebars = {
+  tutorialSidebar: [
+    { type: 'doc', id: 'intro' },
+    {
+      type: 'category',
+      label: 'Guides',
+      items: [
+        // Hand-curated order: configure before install
+        { type: 'doc', id: 'guides/configure' },
+        { type: 'doc', id: 'guides/install' },
+        {
+          type: 'category',
+          label: 'Deployment',
+          link: { type: 'doc', id: 'guides/deploy/overview' },
+          items: [{ type: 'doc', id: 'guides/deploy/cloud' }]
+        },
+        { type: 'html', value: '<hr/>' }
+      ]
+    },
+    {
+      type: 'category',
+      label: 'Reference',
+      link: {
+        type: 'generated-index',
+        slug: '/category/reference',
+        permalink: '/docs/category/reference',
+        title: 'All Reference',
+        description: 'Every reference page'
+      },
+      items: [
+        { type: 'doc', id: 'reference/cli' },
+        { type: 'link', label: 'GitHub', href: 'https://github.com/example/repo' }
+      ]
+    }
+  ]
+};
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+
+  for (const doc of docs) {
+    site.writeFile(doc.file, `---\ntitle: ${doc.title}\n---\n\n${doc.title} content.`);
+  }
+}
+
+function createAllContent() {
+  return createDocsContent(
+    docs.map(doc => docMetadata(doc.file, { id: doc.id, permalink: `/docs/${doc.id}` })),
+    { sidebars }
+  );
+}
+
+runTests('Sidebar Organization', async (check) => {
+  setupTestSite();
+
+  try {
+    await buildSite(site, { sidebar: 'tutorialSidebar', includeDescriptionInLinks: true }, { allContent: createAllContent() });
+
+    const llmsTxt = site.readOutput('llms.txt');
+    const llmsFullTxt = site.readOutput('llms-full.txt');
+
+    const expectedSections = [
+      '## Docs\n\n- [Introduction](https://example.com/docs/intro/)',
+      '## Guides\n\n- [Configure](https://example.com/docs/guides/configure/)\n- [Install](https://example.com/docs/guides/install/)',
+      '### Deployment\n\n- [Deploy Overview](https://example.com/docs/guides/deploy/overview/)\n- [Cloud](https://example.com/docs/guides/deploy/cloud/)',
+      '## Reference\n\n- [All Reference](https://example.com/docs/category/reference/): Every reference page\n- [CLI](https://example.com/docs/reference/cli/)\n- [GitHub](https://github.com/example/repo)',
+    ];
+    check('Builds sections from the sidebar hierarchy', expectedSections.every(section => llmsTxt.includes(section)));
+    check(
+      'Keeps the sidebar section order',
+      expectedSections.map(section => llmsTxt.indexOf(section)).every((index, i, all) => i === 0 || index > all[i - 1])
+    );
+    check('Lists documents outside of the sidebar after the sidebar sections', llmsTxt.indexOf('[Orphan Page]') > llmsTxt.indexOf('[GitHub]'));
+
+    const fullOrder = ['Introduction', 'Configure', 'Install', 'Deploy Overview', 'Cloud', 'CLI', 'Orphan Page']
+      .map(title => llmsFullTxt.indexOf(`## ${title}\n`));
+    check(
+      'Orders llms-full.txt in sidebar traversal order',
+      fullOrder.every((index, i) => index !== -1 && (i === 0 || index > fullOrder[i - 1]))
+    );
+
+    // Unknown sidebar names fall back to path-based grouping
+    await buildSite(site, { sidebar: 'missingSidebar', generateLLMsFullTxt: false }, { allContent: createAllContent() });
+
+    const fallbackLlmsTxt = site.readOutput('llms.txt');
+    check('Falls back to path-based grouping for unknown sidebars', fallbackLlmsTxt.includes('## Deploy'));
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for converting Docusaurus Tabs/TabItem blocks into Markdown
+ *
+ * Run with: node tests/test-tabs-conversion.js
+ */
+
+const path = require('path');
+const { transformMdxComponents } = require('../lib/mdx');
+const { processMarkdownFile } = require('../lib/processor');
+const { createTestSite } = require('./helpers');
+
+const site = createTestSite('tabs-conversion');
+
+const installPage = `# Installation
+
+<Tabs groupId="package-manager" defaultValue="yarn">
+  <TabItem value="npm" label="npm">
+
+  \`\`\`bash
+  npm install my-package
+  \`\`\`
+
+  </TabItem>
+  <TabItem value="yarn" label="Yarn">
+
+  \`\`\`bash
+  yarn add my-package
+  \`\`\`
+
+  </TabItem>
+</Tabs>
+
+Done.`;
+
+const tests = [
+  {
+    name: 'Turns every tab into a labelled subsection',
+    input: installPage,
+    options: {},
+    expected: '**npm:**\n\n```bash\nnpm install my-package\n```\n\n**Yarn:**\n\n```bash\nyarn add my-package\n```'
+  },
+  {
+    name: 'Keeps only the tab matching defaultValue',
+    input: installPage,
+    options: { tabsOutput: 'default' },
+    expected: '# Installation\n\n\n```bash\nyarn add my-package\n```\n\n\nDone.'
+  },
+  {
+    name: 'Prefers the tab marked default',
+    input: '<Tabs>\n<TabItem value="a">A body</TabItem>\n<TabItem value="b" default>B body</TabItem>\n</Tabs>',
+    options: { tabsOutput: 'default' },
+    expected: '\nB body\n'
+  },
+  {
+    name: 'Falls back to the first tab',
+    input: '<Tabs>\n<TabItem value="a">A body</TabItem>\n<TabItem value="b">B body</TabItem>\n</Tabs>',
+    options: { tabsOutput: 'default' },
+    expected: '\nA body\n'
+  },
+  {
+    name: 'Reads labels from the values prop',
+    input: "<Tabs values={[{label: 'macOS', value: 'mac'}, {label: 'Windows', value: 'win'}]}>\n<TabItem value=\"mac\">brew</TabItem>\n<TabItem value=\"win\">choco</TabItem>\n</Tabs>",
+    options: {},
+    expected: '**macOS:**\n\nbrew\n\n**Windows:**\n\nchoco'
+  },
+  {
+    name: 'Uses the value when no label is given',
+    input: '<Tabs>\n<TabItem value="pnpm">pnpm add</TabItem>\n</Tabs>',
+    options: {},
+    expected: '**pnpm:**\n\npnpm add'
+  },
+  {
+    name: 'Converts nested tabs inside the outer tab body',
+    input: '<Tabs>\n  <TabItem value="linux" label="Linux">\n    Pick a distro:\n\n    <Tabs>\n      <TabItem value="deb" label="Debian">apt</TabItem>\n      <TabItem value="rpm" label="Fedora">dnf</TabItem>\n    </Tabs>\n  </TabItem>\n</Tabs>',
+    options: {},
+    expected: '**Linux:**\n\nPick a distro:\n\n\n**Debian:**\n\napt\n\n**Fedora:**\n\ndnf'
+  },
+  {
+    name: 'Only converts tabs starting on their own line',
+    input: 'Pick <Tabs><TabItem value="a">A</TabItem></Tabs> here.\n\n<Tabs>\n<TabItem value="b">B</TabItem>\n</Tabs>',
+    options: {},
+    expected: 'Pick <Tabs><TabItem value="a">A</TabItem></Tabs> here.\n\n\n**b:**\n\nB',
+    keepsTabs: true
+  },
+  {
+    name: 'Leaves tabs inside code blocks untouched',
+    input: '```jsx\n<Tabs>\n  <TabItem value="a">A</TabItem>\n</Tabs>\n```',
+    options: {},
+    expected: '```jsx\n<Tabs>\n  <TabItem value="a">A</TabItem>\n</Tabs>\n```'
+  },
+];
+
+async function runTests() {
+  console.log('Running tabs conversion tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    const result = transformMdxComponents(test.input, test.options);
+    const leftoverTabs = /<\/?Tab/.test(result.replace(/```[\s\S]*?```/g, ''));
+    if (result.includes(test.expected) && (test.keepsTabs || !leftoverTabs)) {
+      console.log(`✅ PASS: ${test.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL: ${test.name}`);
+      console.log('   Expected to contain:', JSON.stringify(test.expected));
+      console.log('   Got:', JSON.stringify(result));
+      failed++;
+    }
+  }
+
+  // The option is applied when processing documents
+  site.remove();
+  site.writeFile('docs/install.mdx', `---\ntitle: Installation\n---\n\n${installPage}`);
+  const filePath = path.join(site.siteDir, 'docs', 'install.mdx');
+
+  try {
+    const doc = await processMarkdownFile(filePath, site.siteDir, 'https://example.com', 'docs', undefined, false, false, undefined, filePath, { tabsOutput: 'default' });
+    if (doc.content.includes('yarn add my-package') && !doc.content.includes('npm install') && !doc.content.includes('<TabItem')) {
+      console.log('✅ PASS: Applies tabsOutput when processing documents');
+      passed++;
+    } else {
+      console.log('❌ FAIL: Applies tabsOutput when processing documents');
+      console.log('   Got:', JSON.stringify(doc.content));
+      failed++;
+    }
+  } finally {
+    site.remove();
+  }
+
+  console.log(`\nTabs Conversion Results: ${passed} passed, ${failed} failed.`);
+
+  return failed === 0;
+}
+
+runTests().then(success => {
+  if (!success) process.exit(1);
+}).catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for token counting and custom file token budgets
+ *
+ * Run with: node tests/test-token-budgets.js
+ */
+
+const path = require('path');
+const { validateOptions } = require('../lib/index');
+const { estimateTokens, formatTokenSummary } = require('../lib/tokens');
+const { normalizePluginOptions } = require('@docusaurus/utils-validation');
+const { runTests, createTestSite, buildSite, captureConsole } = require('./helpers');
+
+const site = createTestSite('token-budgets');
+
+// Each document has about 200 words, so about 1,000 characters
+const docs = ['alpha', 'beta', 'gamma', 'delta'];
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  for (const name of docs) {
+    const body = Array.from({ length: 200 }, () => name.slice(0, 4)).join(' ');
+    site.writeFile(`docs/${name}.md`, `---\ntitle: ${name}\n---\n\n${body}`);
+  }
+}
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+async function generate(options) {
+  const { output } = await captureConsole(() => buildSite(site, {
+    cache: false,
+    includeOrder: docs.map(name => `docs/${name}.md`),
+    ...options,
+  }), ['log', 'warn']);
+  return output;
+}
+
+runTests('Token Budget', async (check) => {
+  setupTestSite();
+
+  try {
+    check('Estimates about 4 characters per token', estimateTokens('a'.repeat(400)) === 100 && estimateTokens('abc') === 1);
+
+    const summaryTable = formatTokenSummary([
+      { outputPath: path.join(site.outDir, 'llms-full.txt'), tokens: 1200, docs: [{ title: 'Big', url: 'u', tokens: 1000 }, { title: 'Small', url: 'u', tokens: 10 }] },
+    ], site.outDir);
+    check('Formats the summary as a table', /\| llms-full\.txt \| 2 +\| 1,200 +\| Big \(1,000\) +\|/.test(summaryTable));
+
+    // Summary with the default estimate
+    const defaultOutput = await generate({
+      customLLMFiles: [{ filename: 'llms-greek.txt', includePatterns: ['docs/*.md'], fullContent: true }],
+    });
+    const fullTokens = estimateTokens(site.readOutput('llms-full.txt'));
+    check('Prints a summary after generation', defaultOutput.includes('Approximate token counts:'));
+    check(
+      'Lists every generated file with its token count',
+      defaultOutput.includes(`| llms-full.txt `) && defaultOutput.includes(fullTokens.toLocaleString('en-US')) &&
+      defaultOutput.includes('| llms.txt ') && defaultOutput.includes('| llms-greek.txt ')
+    );
+
+    // Pluggable tokenizer
+    const tokenizerOutput = await generate({ tokenizer: countWords });
+    const fullWords = countWords(site.readOutput('llms-full.txt'));
+    check('Counts tokens with the configured tokenizer', new RegExp(`\\| llms-full\\.txt +\\| 4 +\\| ${fullWords.toLocaleString('en-US')} `).test(tokenizerOutput));
+
+    // Budget exceeded with the default strategy
+    let budgetError = null;
+    try {
+      await generate({
+        tokenizer: countWords,
+        customLLMFiles: [{ filename: 'llms-small.txt', includePatterns: ['docs/*.md'], fullContent: true, maxTokens: 500 }],
+      });
+    } catch (error) {
+      budgetError = error;
+    }
+    check('Fails the build when a file exceeds maxTokens', budgetError?.name === 'TokenLimitError' && budgetError.message.includes('llms-small.txt'));
+    check('Does not write the file exceeding maxTokens', !site.outputExists('llms-small.txt'));
+
+    // Truncation by priority
+    const transformedFiles = [];
+    const truncateOutput = await generate({
+      tokenizer: countWords,
+      transformOutput: (content, { filename }) => {
+        transformedFiles.push(filename);
+        return content;
+      },
+      customLLMFiles: [{
+        filename: 'llms-small.txt',
+        includePatterns: ['docs/*.md'],
+        orderPatterns: ['docs/delta.md', 'docs/beta.md'],
+        includeUnmatchedLast: true,
+        fullContent: true,
+        maxTokens: 500,
+        maxTokensStrategy: 'truncate',
+      }],
+    });
+    const smallFile = site.readOutput('llms-small.txt');
+    check('Truncates the file to fit maxTokens', countWords(smallFile) <= 500);
+    check(
+      'Keeps the highest priority documents',
+      smallFile.includes('## delta') && smallFile.includes('## beta') && !smallFile.includes('## alpha') && !smallFile.includes('## gamma')
+    );
+    check('Warns about the documents left out', truncateOutput.includes('left out its last 2 documents'));
+    check('Shows the budget in the summary', truncateOutput.includes(' / 500 (2 docs left out)'));
+    check('Builds the truncated file only once more', transformedFiles.filter(filename => filename === 'llms-small.txt').length === 2);
+
+    // Truncation of a links-only file, whose documents are listed by category
+    for (const [category, name] of [['guides', 'install'], ['api', 'client'], ['guides', 'deploy'], ['api', 'server']]) {
+      site.writeFile(`docs/sdk/${category}/${name}.md`, `---\ntitle: ${name}\ndescription: How to use ${name}\n---\n\nAbout ${name}.`);
+    }
+    const linksFile = {
+      filename: 'llms-links.txt',
+      includePatterns: ['docs/sdk/**'],
+      orderPatterns: ['docs/sdk/guides/install.md', 'docs/sdk/api/client.md', 'docs/sdk/guides/deploy.md', 'docs/sdk/api/server.md'],
+      fullContent: false,
+    };
+    await generate({ tokenizer: countWords, customLLMFiles: [linksFile] });
+    const linksWords = countWords(site.readOutput('llms-links.txt'));
+    await generate({
+      tokenizer: countWords,
+      customLLMFiles: [{ ...linksFile, maxTokens: linksWords - 3, maxTokensStrategy: 'truncate' }],
+    });
+    // The file lists the api category first and the documents of a category alphabetically, so install comes last
+    const linksSmallFile = site.readOutput('llms-links.txt');
+    check(
+      'Truncates links-only files in the order they list the documents',
+      linksSmallFile.includes('[client]') && linksSmallFile.includes('[server]') && linksSmallFile.includes('[deploy]')
+        && !linksSmallFile.includes('[install]')
+    );
+
+    // Validation
+    let invalidError = null;
+    try {
+      validateOptions({
+        validate: normalizePluginOptions,
+        options: { customLLMFiles: [{ filename: 'a.txt', includePatterns: [], fullContent: true, maxTokensStrategy: 'drop' }] },
+      });
+    } catch (error) {
+      invalidError = error;
+    }
+    check('Rejects unknown maxTokensStrategy values', invalidError !== null);
+  } finally {
+    site.remove();
+  }
+});
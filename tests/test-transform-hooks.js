@@ -0,0 +1,83 @@
+/**
+ * Tests for the transformDoc and transformOutput options
+ *
+ * Run with: node tests/test-transform-hooks.js
+ */
+
+const path = require('path');
+const { runTests, createTestSite, buildSite } = require('./helpers');
+
+const site = createTestSite('transform-hooks');
+
+const docs = {
+  'docs/intro.md': '---\ntitle: Introduction\n---\n\nIntroduction content.',
+  'docs/guide.md': '---\ntitle: Guide\n---\n\nGuide content.',
+  'docs/internal/secrets.md': '---\ntitle: Secrets\ninternal: true\n---\n\nInternal content.',
+};
+
+function setupTestSite() {
+  site.remove();
+  site.resetOutput();
+  for (const [file, content] of Object.entries(docs)) {
+    site.writeFile(file, content);
+  }
+}
+
+function readOutput(filename) {
+  return site.outputExists(filename) ? site.readOutput(filename) : null;
+}
+
+runTests('Transform Hooks', async (check) => {
+  setupTestSite();
+
+  try {
+    const docContexts = [];
+    const outputContexts = [];
+
+    await buildSite(site, {
+      version: '2.0',
+      customLLMFiles: [
+        { filename: 'llms-guide.txt', includePatterns: ['docs/guide.md'], fullContent: true },
+      ],
+      transformDoc: async (doc, ctx) => {
+        docContexts.push(ctx);
+        if (doc.frontMatter?.internal) {
+          return null;
+        }
+        return doc.title === 'Guide' ? { ...doc, title: 'User Guide' } : doc;
+      },
+      transformOutput: (content, ctx) => {
+        outputContexts.push(ctx);
+        return `${content}\n\n---\n\nLicensed under CC BY 4.0 (${ctx.filename})\n`;
+      },
+    });
+
+    const llmsTxt = readOutput('llms.txt');
+    const llmsFullTxt = readOutput('llms-full.txt');
+    const guideTxt = readOutput('llms-guide.txt');
+
+    // transformDoc
+    check('Drops documents for which transformDoc returns null', !llmsTxt.includes('Secrets') && !llmsFullTxt.includes('Internal content.'));
+    check('Keeps documents returned unchanged', llmsTxt.includes('[Introduction]') && llmsFullTxt.includes('Introduction content.'));
+    check('Uses the documents returned by transformDoc', llmsTxt.includes('[User Guide]') && llmsFullTxt.includes('## User Guide'));
+    check('Applies transformDoc to custom files', guideTxt.includes('## User Guide'));
+    check(
+      'Passes the source file path and site to transformDoc',
+      docContexts.some(ctx => ctx.filePath === path.join(site.siteDir, 'docs/guide.md')) &&
+      docContexts.every(ctx => ctx.siteDir === site.siteDir && ctx.siteUrl === 'https://example.com')
+    );
+
+    // transformOutput
+    check('Appends the footer to llms.txt', llmsTxt.trimEnd().endsWith('Licensed under CC BY 4.0 (llms.txt)'));
+    check('Appends the footer to llms-full.txt', llmsFullTxt.trimEnd().endsWith('Licensed under CC BY 4.0 (llms-full.txt)'));
+    check('Appends the footer to custom files', guideTxt.trimEnd().endsWith('Licensed under CC BY 4.0 (llms-guide.txt)'));
+    const fullContext = outputContexts.find(ctx => ctx.filename === 'llms-full.txt');
+    const linksContext = outputContexts.find(ctx => ctx.filename === 'llms.txt');
+    check(
+      'Passes the filename, content type and version to transformOutput',
+      fullContext?.fullContent === true && linksContext?.fullContent === false && fullContext.version === '2.0'
+    );
+  } finally {
+    site.remove();
+  }
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for versioned docs support with per-version llms files
+ *
+ * Run with: node tests/test-versioned-docs.js
+ */
+
+const { runTests, createTestSite, buildSite, captureConsole, docMetadata } = require('./helpers');
+
+const site = createTestSite('versioned-docs');
+
+// Versions in the order the docs plugin loads them: current (next), then versions.json
+const versions = [
+  {
+    versionName: 'current',
+    label: 'Next',
+    path: '/docs/next',
+    isLast: false,
+    docs: [
+      { file: 'docs/intro.md', id: 'intro', title: 'Introduction', body: 'Next intro.', permalink: '/docs/next/intro' },
+      { file: 'docs/new-feature.md', id: 'new-feature', title: 'New Feature', body: 'Unreleased feature.', permalink: '/docs/next/new-feature' },
+    ],
+  },
+  {
+    versionName: '2.0',
+    label: '2.0 (LTS)',
+    path: '/docs',
+    isLast: true,
+    docs: [
+      { file: 'versioned_docs/version-2.0/intro.md', id: 'intro', title: 'Introduction', body: 'LTS intro.', permalink: '/docs/intro' },
+    ],
+  },
+  {
+    versionName: '1.0',
+    label: '1.0',
+    path: '/docs/1.0',
+    isLast: false,
+    docs: [
+      { file: 'versioned_docs/version-1.0/intro.md', id: 'intro', title: 'Introduction', body: 'Legacy intro.', permalink: '/docs/1.0/intro' },
+    ],
+  },
+];
+
+function setupTestSite() {
+  site.remove();
+  for (const version of versions) {
+    for (const doc of version.docs) {
+      site.writeFile(doc.file, `---\ntitle: ${doc.title}\n---\n\n${doc.body}`);
+    }
+  }
+}
+
+function createAllContent() {
+  return {
+    'docusaurus-plugin-content-docs': {
+      default: {
+        loadedVersions: versions.map(version => ({
+          versionName: version.versionName,
+          label: version.label,
+          path: version.path,
+          isLast: version.isLast,
+          docs: version.docs.map(doc => docMetadata(doc.file, {
+            id: doc.id,
+            version: version.versionName,
+            permalink: doc.permalink,
+          })),
+          sidebars: {}
+        }))
+      }
+    }
+  };
+}
+
+async function generate(options) {
+  site.resetOutput();
+  await buildSite(site, options, { allContent: createAllContent() });
+}
+
+function readOutput(filename) {
+  return site.outputExists(filename) ? site.readOutput(filename) : null;
+}
+
+runTests('Versioned Docs', async (check) => {
+  setupTestSite();
+
+  try {
+    // Without the option only the current version is used, as before
+    await generate({});
+    const unversioned = readOutput('llms-full.txt');
+    check('Uses the current version by default', unversioned.includes('Next intro.') && !unversioned.includes('LTS intro.'));
+    check('Does not generate version files by default', readOutput('llms-1.0.txt') === null);
+    check('Does not add a version header by default', !readOutput('llms.txt').includes('Version:'));
+
+    // Files with a version suffix
+    await generate({ versionedFiles: 'suffix' });
+    const mainTxt = readOutput('llms.txt');
+    const mainFull = readOutput('llms-full.txt');
+    check('Describes the version served by default in llms.txt', mainTxt.includes('(https://example.com/docs/intro/)') && !mainTxt.includes('[New Feature]'));
+    check('Uses the version served by default in llms-full.txt', mainFull.includes('LTS intro.') && !mainFull.includes('Next intro.'));
+    check('Populates the version header from the version label', mainTxt.includes('Version: 2.0 (LTS)'));
+
+    const nextTxt = readOutput('llms-next.txt');
+    const legacyTxt = readOutput('llms-1.0.txt');
+    const legacyFull = readOutput('llms-full-1.0.txt');
+    check('Generates files for the other versions', nextTxt !== null && legacyTxt !== null && legacyFull !== null);
+    check('Uses versioned URLs', legacyTxt.includes('(https://example.com/docs/1.0/intro/)') && nextTxt.includes('(https://example.com/docs/next/new-feature/)'));
+    check('Limits version files to their own version', legacyFull.includes('Legacy intro.') && !legacyFull.includes('LTS intro.'));
+    check('Labels version files with their version', legacyTxt.includes('Version: 1.0') && nextTxt.includes('Version: Next'));
+
+    // Version files must not overwrite other files
+    const { output: collisionOutput } = await captureConsole(
+      () => generate({
+        versionedFiles: 'suffix',
+        customLLMFiles: [{ filename: 'llms-1.0.txt', includePatterns: ['**/*.md'], fullContent: false }],
+      }),
+      ['log', 'error']
+    );
+    check(
+      'Reports version files colliding with custom files',
+      collisionOutput.includes('"llms-1.0.txt" of the "1.0" docs version collides with "customLLMFiles[0].filename"')
+    );
+    check('Does not write any file when version files collide', readOutput('llms.txt') === null && readOutput('llms-1.0.txt') === null);
+
+    // Files in the version route directories
+    await generate({ versionedFiles: 'directory', version: '2.0.3' });
+    check('Writes version files to the version route directory', readOutput('docs/1.0/llms.txt') !== null && readOutput('docs/next/llms-full.txt') !== null);
+    check('Does not add suffixed files in directory mode', readOutput('llms-1.0.txt') === null);
+    check('Keeps an explicit global version for the main files', readOutput('llms.txt').includes('Version: 2.0.3'));
+    check('Uses the version label in the version directories', readOutput('docs/1.0/llms.txt').includes('Version: 1.0'));
+
+    // Markdown files linked from the version directories
+    await generate({ versionedFiles: 'directory', generateMarkdownFiles: true });
+    const linkedFiles = ['llms.txt', 'docs/1.0/llms.txt', 'docs/next/llms.txt']
+      .flatMap(filename => [...readOutput(filename).matchAll(/\]\((https:\/\/example\.com\/[^)]+)\)/g)])
+      .map(match => new URL(match[1]).pathname.slice(1));
+    check('Links the markdown files of every version', linkedFiles.length === 4 && linkedFiles.every(file => file.endsWith('.md')));
+    check('Links markdown files that exist', linkedFiles.every(file => site.outputExists(file)));
+  } finally {
+    site.remove();
+  }
+});